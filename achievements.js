@@ -0,0 +1,130 @@
+// Goal streaks and achievement badges.
+//
+// Everything is derived from per-local-day step totals, so a backfilled or
+// deleted walk is handled by simply recomputing.
+
+// Declarative badge table: a badge is earned once `metric` reaches `threshold`
+export const ACHIEVEMENTS = [
+  {
+    id: "first_walk",
+    title: "First steps",
+    description: "Log your first walk",
+    metric: "walkCount",
+    threshold: 1,
+  },
+  {
+    id: "first_goal",
+    title: "Goal getter",
+    description: "Hit your daily step goal for the first time",
+    metric: "goalDays",
+    threshold: 1,
+  },
+  {
+    id: "day_10k",
+    title: "10k day",
+    description: "Walk 10,000 steps in a single day",
+    metric: "maxDailySteps",
+    threshold: 10000,
+  },
+  {
+    id: "day_20k",
+    title: "20k day",
+    description: "Walk 20,000 steps in a single day",
+    metric: "maxDailySteps",
+    threshold: 20000,
+  },
+  {
+    id: "streak_7",
+    title: "7-day streak",
+    description: "Hit your goal 7 days in a row",
+    metric: "bestStreak",
+    threshold: 7,
+  },
+  {
+    id: "streak_30",
+    title: "30-day streak",
+    description: "Hit your goal 30 days in a row",
+    metric: "bestStreak",
+    threshold: 30,
+  },
+  {
+    id: "lifetime_100km",
+    title: "100 km",
+    description: "Walk 100 km in total",
+    metric: "totalDistanceM",
+    threshold: 100000,
+  },
+  {
+    id: "lifetime_1m_steps",
+    title: "Millionaire",
+    description: "Walk 1,000,000 steps in total",
+    metric: "totalSteps",
+    threshold: 1000000,
+  },
+];
+
+function addDays(dateKey, n) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + n * 86400000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// days: Map of YYYY-MM-DD -> steps. A day still in progress does not break
+// the current streak; it only extends it once the goal is met.
+export function computeStreaks(days, goal, todayKey) {
+  const met = (d) => goal > 0 && (days.get(d) || 0) >= goal;
+
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  let lastGoalDate = null;
+  for (const d of [...days.keys()].sort()) {
+    if (!met(d)) continue;
+    run = prev && addDays(prev, 1) === d ? run + 1 : 1;
+    prev = d;
+    lastGoalDate = d;
+    if (run > best) best = run;
+  }
+
+  let current = 0;
+  let cursor = met(todayKey) ? todayKey : addDays(todayKey, -1);
+  while (met(cursor)) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return {
+    current,
+    best,
+    lastGoalDate,
+    todayMet: met(todayKey),
+  };
+}
+
+export function computeStats(walks, days, streaks, goal) {
+  let totalSteps = 0;
+  let totalDistanceM = 0;
+  for (const w of walks) {
+    totalSteps += Number(w.steps || 0);
+    totalDistanceM += Number(w.distance_m || 0);
+  }
+  let goalDays = 0;
+  let maxDailySteps = 0;
+  for (const steps of days.values()) {
+    if (goal > 0 && steps >= goal) goalDays += 1;
+    if (steps > maxDailySteps) maxDailySteps = steps;
+  }
+  return {
+    walkCount: walks.length,
+    totalSteps,
+    totalDistanceM,
+    maxDailySteps,
+    goalDays,
+    bestStreak: streaks.best,
+    currentStreak: streaks.current,
+  };
+}
+
+export function earnedAchievements(stats) {
+  return ACHIEVEMENTS.filter((a) => (stats[a.metric] || 0) >= a.threshold);
+}
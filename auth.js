@@ -1,10 +1,19 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { supabase } from "./db.js";
 
-export function createToken({ id, email }, options = {}) {
+const ACCESS_TOKEN_TTL = (process.env.ACCESS_TOKEN_TTL || "15m").trim();
+const REFRESH_TOKEN_TTL_DAYS = Math.max(
+  1,
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30)
+);
+
+export function createToken({ id, email, sid }, options = {}) {
   if (!process.env.JWT_SECRET) {
     throw new Error("Missing JWT_SECRET");
   }
-  return jwt.sign({ sub: id, email }, process.env.JWT_SECRET, {
+  if (!sid) throw new Error("Access tokens need a session id");
+  return jwt.sign({ sub: id, email, sid }, process.env.JWT_SECRET, {
     expiresIn: "7d",
     ...options,
   });
@@ -18,7 +27,159 @@ export function verifyToken(token) {
   }
 }
 
-export function authMiddleware(req, res, next) {
+/* ------------------------- Sessions + refresh tokens ------------------------ */
+// One auth_sessions row per signed-in device. Its refresh tokens form a
+// family: each refresh marks the old token used and issues the next one.
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+async function storeRefreshToken(sessionId) {
+  const refreshToken = newRefreshToken();
+  const { error } = await supabase
+    .from("refresh_tokens")
+    .insert([{ session_id: sessionId, token_hash: hashToken(refreshToken) }]);
+  if (error) throw new Error("Refresh token insert failed");
+  return refreshToken;
+}
+
+function tokenPair(user, sessionId, refreshToken) {
+  return {
+    token: createToken(
+      { id: user.id, email: user.email, sid: sessionId },
+      { expiresIn: ACCESS_TOKEN_TTL }
+    ),
+    refreshToken,
+    sessionId,
+  };
+}
+
+function clientInfo(req) {
+  return {
+    user_agent: String(req?.headers?.["user-agent"] || "") || null,
+    ip: req?.ip || null,
+    device_name: req?.body?.deviceName
+      ? String(req.body.deviceName).slice(0, 100)
+      : null,
+  };
+}
+
+// Start a new device session for a user who just proved who they are
+export async function issueSession(user, req) {
+  const now = Date.now();
+  const { data: session, error } = await supabase
+    .from("auth_sessions")
+    .insert([
+      {
+        user_id: user.id,
+        ...clientInfo(req),
+        last_used_at: new Date(now).toISOString(),
+        expires_at: new Date(
+          now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+        ).toISOString(),
+      },
+    ])
+    .select("id")
+    .single();
+  if (error) throw new Error("Session insert failed");
+  const refreshToken = await storeRefreshToken(session.id);
+  return tokenPair(user, session.id, refreshToken);
+}
+
+// Exchange a refresh token for a new pair. Presenting an already-used token
+// means it leaked, so the whole session (token family) is revoked.
+export async function rotateRefreshToken(refreshToken) {
+  const { data: rows, error } = await supabase
+    .from("refresh_tokens")
+    .select("id, session_id, used_at")
+    .eq("token_hash", hashToken(String(refreshToken || "")))
+    .limit(1);
+  if (error) throw new Error("Refresh token lookup failed");
+  const row = rows?.[0];
+  if (!row) return { status: 401, error: "Invalid refresh token" };
+
+  const { data: session, error: sErr } = await supabase
+    .from("auth_sessions")
+    .select("id, user_id, revoked_at, expires_at, users(id, email)")
+    .eq("id", row.session_id)
+    .single();
+  if (sErr || !session) return { status: 401, error: "Invalid refresh token" };
+  if (session.revoked_at)
+    return { status: 401, error: "Session has been revoked" };
+  if (Date.parse(session.expires_at) <= Date.now())
+    return { status: 401, error: "Session expired" };
+
+  const { data: claimed, error: uErr } = await supabase
+    .from("refresh_tokens")
+    .update({ used_at: new Date().toISOString() })
+    .eq("id", row.id)
+    .is("used_at", null)
+    .select("id");
+  if (uErr) throw new Error("Refresh token update failed");
+  if (!claimed || claimed.length === 0) {
+    await revokeSession(session.id, "refresh_token_reuse");
+    return { status: 401, error: "Refresh token reuse detected" };
+  }
+
+  const next = await storeRefreshToken(session.id);
+  await supabase
+    .from("auth_sessions")
+    .update({ last_used_at: new Date().toISOString() })
+    .eq("id", session.id);
+  return tokenPair(session.users, session.id, next);
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  const { error } = await supabase
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+  if (error) throw new Error("Session revoke failed");
+}
+
+export async function revokeAllSessions(userId, reason, { exceptId } = {}) {
+  let q = supabase
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+  if (exceptId) q = q.neq("id", exceptId);
+  const { error } = await q;
+  if (error) throw new Error("Session revoke failed");
+}
+
+export async function listSessions(userId) {
+  const { data, error } = await supabase
+    .from("auth_sessions")
+    .select("id, device_name, user_agent, ip, created_at, last_used_at")
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .order("last_used_at", { ascending: false });
+  if (error) throw new Error("Session list failed");
+  return data || [];
+}
+
+async function isSessionActive(sessionId) {
+  const { data, error } = await supabase
+    .from("auth_sessions")
+    .select("revoked_at, expires_at")
+    .eq("id", sessionId)
+    .limit(1);
+  if (error) throw new Error("Session lookup failed");
+  const row = data?.[0];
+  return Boolean(
+    row && !row.revoked_at && Date.parse(row.expires_at) > Date.now()
+  );
+}
+
+export async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization || "";
   if (!authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ error: "Missing token" });
@@ -28,6 +189,19 @@ export function authMiddleware(req, res, next) {
   if (!payload) {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
+  // Every access token belongs to a session; one without a sid could never
+  // be revoked, so it is not accepted
+  if (!payload.sid) {
+    return res.status(401).json({ error: "Session required, sign in again" });
+  }
+  try {
+    if (!(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+  } catch (e) {
+    console.error("Session check error:", e);
+    return res.status(500).json({ error: "Session check failed" });
+  }
   req.user = payload;
   next();
 }
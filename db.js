@@ -9,4 +9,17 @@ export const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY,
   { auth: { persistSession: false } }
-);
\ No newline at end of file
+);
+
+// PostgREST caps every response (1000 rows by default), so long histories
+// are read page by page. `build` must return a fresh query with a stable
+// order; `pageSize` must not exceed the server's max-rows setting.
+export async function selectAllRows(build, pageSize = 1000) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await build().range(from, from + pageSize - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return { data: rows, error: null };
+  }
+}
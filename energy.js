@@ -0,0 +1,62 @@
+// Active energy estimates for walks.
+//
+// Speed (distance / duration) picks a MET value from walking bands in the
+// Compendium of Physical Activities. Active kcal is the energy above rest:
+// (MET - 1) x weight (kg) x hours. Without usable speed we fall back to a
+// per-step estimate. The method and inputs are returned so stored results
+// can be recomputed when the profile changes.
+
+export const ENERGY_METHOD_VERSION = 1;
+export const DEFAULT_WEIGHT_KG = 70;
+const KCAL_PER_STEP_AT_70KG = 0.04;
+
+// [upper speed bound in m/s, MET]
+const MET_BANDS = [
+  [0.89, 2.0], // < 2.0 mph, strolling
+  [1.12, 2.8], // 2.0-2.5 mph
+  [1.34, 3.0], // 2.5-3.0 mph
+  [1.56, 3.5], // 3.0-3.5 mph, moderate
+  [1.79, 4.3], // 3.5-4.0 mph, brisk
+  [2.01, 5.0], // 4.0-4.5 mph, very brisk
+  [2.24, 7.0], // 4.5-5.0 mph, race walking
+  [Infinity, 8.3], // jogging pace
+];
+
+export function metForSpeed(speedMps) {
+  for (const [upper, met] of MET_BANDS) if (speedMps < upper) return met;
+  return MET_BANDS[MET_BANDS.length - 1][1];
+}
+
+export function estimateWalkKcal(
+  { durationSec, distanceM, steps },
+  { weightKg = null } = {}
+) {
+  const hasWeight = Number(weightKg) > 0;
+  const weight = hasWeight ? Number(weightKg) : DEFAULT_WEIGHT_KG;
+  const inputs = {
+    version: ENERGY_METHOD_VERSION,
+    weightKg: weight,
+    weightSource: hasWeight ? "profile" : "default",
+    durationSec: Number(durationSec || 0),
+    distanceM: Number(distanceM || 0),
+    steps: Number(steps || 0),
+  };
+
+  if (inputs.durationSec > 0 && inputs.distanceM > 0) {
+    const speedMps = inputs.distanceM / inputs.durationSec;
+    const met = metForSpeed(speedMps);
+    const kcal = (met - 1) * weight * (inputs.durationSec / 3600);
+    return {
+      kcal: Number(kcal.toFixed(1)),
+      method: "met_speed",
+      inputs: { ...inputs, speedMps: Number(speedMps.toFixed(3)), met },
+    };
+  }
+
+  const kcal = inputs.steps * KCAL_PER_STEP_AT_70KG * (weight / 70);
+  return {
+    kcal: Number(kcal.toFixed(1)),
+    method: "steps_fallback",
+    inputs,
+  };
+}
@@ -0,0 +1,83 @@
+import { supabase } from "./db.js";
+
+// Two-level cache for USDA lookups: a bounded in-memory LRU in front of the
+// `food_cache` table, both with the same TTL. `null` is a valid cached value
+// (e.g. a search with no hits); `get` returns undefined on a miss.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createLruCache({ max = 1000, ttlMs = 30 * DAY_MS } = {}) {
+  const entries = new Map(); // insertion order doubles as recency order
+
+  return {
+    get(key, now = Date.now()) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt <= now) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, hit);
+      return hit.value;
+    },
+    set(key, value, expiresAt = Date.now() + ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+export function createFoodCache({
+  max = Number(process.env.FOOD_CACHE_MAX_ENTRIES || 1000),
+  ttlMs = Number(process.env.FOOD_CACHE_TTL_DAYS || 30) * DAY_MS,
+  table = "food_cache",
+} = {}) {
+  const memory = createLruCache({ max, ttlMs });
+
+  return {
+    memory,
+    async get(key) {
+      const hit = memory.get(key);
+      if (hit !== undefined) return hit;
+
+      const { data: row, error } = await supabase
+        .from(table)
+        .select("value, expires_at")
+        .eq("key", key)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+      if (error) {
+        console.error("Food cache read error:", error);
+        return undefined;
+      }
+      if (!row) return undefined;
+      memory.set(key, row.value, Date.parse(row.expires_at));
+      return row.value;
+    },
+    // Persisting is best effort: a failed write only costs a refetch later
+    async set(key, value) {
+      const expiresAt = Date.now() + ttlMs;
+      memory.set(key, value, expiresAt);
+      const { error } = await supabase.from(table).upsert(
+        [
+          {
+            key,
+            value,
+            expires_at: new Date(expiresAt).toISOString(),
+            updated_at: new Date().toISOString(),
+          },
+        ],
+        { onConflict: "key" }
+      );
+      if (error) console.error("Food cache write error:", error);
+    },
+  };
+}
@@ -0,0 +1,179 @@
+// Food name matching: normalization, singularization, synonyms and
+// edit-distance scoring. Scores are 0-1; `match` says how a score was reached.
+
+// Preparation words that do not change which food it is
+const MODIFIERS = new Set([
+  "raw",
+  "cooked",
+  "boiled",
+  "hard",
+  "soft",
+  "fried",
+  "grilled",
+  "baked",
+  "roasted",
+  "steamed",
+  "poached",
+  "scrambled",
+  "fresh",
+  "plain",
+  "whole",
+  "sliced",
+  "chopped",
+  "diced",
+  "small",
+  "medium",
+  "large",
+  "organic",
+  "homemade",
+  "skinless",
+  "boneless",
+  "fillet",
+  "of",
+  "a",
+  "an",
+  "the",
+]);
+
+const IRREGULAR_PLURALS = {
+  fries: "fries",
+  hummus: "hummus",
+  asparagus: "asparagus",
+  couscous: "couscous",
+  molasses: "molasses",
+  leaves: "leaf",
+  loaves: "loaf",
+  knives: "knife",
+  potatoes: "potato",
+  tomatoes: "tomato",
+};
+
+// Canonical (singular, modifier-free) name -> key in the local food table
+export const FOOD_SYNONYMS = {
+  "french fry": "fries",
+  "french fries": "fries",
+  hamburger: "burger",
+  cheeseburger: "burger",
+  yoghurt: "yogurt",
+  "greek yogurt": "yogurt",
+  doughnut: "donut",
+  toast: "bread",
+  "white bread": "bread",
+  "whole wheat bread": "bread",
+  chicken: "chicken breast",
+  salmon: "fish",
+  tuna: "fish",
+  cod: "fish",
+  steak: "beef",
+  "ground beef": "beef",
+  "white rice": "rice",
+  "brown rice": "rice",
+  sub: "sandwich",
+  "hot dog": "sandwich",
+  clementine: "orange",
+  mandarin: "orange",
+  omelet: "egg",
+  omelette: "egg",
+};
+
+export function singularize(word) {
+  const w = String(word || "");
+  if (IRREGULAR_PLURALS[w]) return IRREGULAR_PLURALS[w];
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes|zes)$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("oes")) return w.slice(0, -2);
+  if (/(ss|us|is)$/.test(w)) return w;
+  if (w.endsWith("s")) return w.slice(0, -1);
+  return w;
+}
+
+function tokensOf(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+    .map(singularize);
+}
+
+function phraseOf(name) {
+  const tokens = tokensOf(name);
+  const kept = tokens.filter((t) => !MODIFIERS.has(t));
+  return (kept.length ? kept : tokens).join(" ");
+}
+
+// "fried" alone names no food, so it may only match itself
+function hasFoodWord(name) {
+  return tokensOf(name).some((t) => !MODIFIERS.has(t));
+}
+
+// "Boiled Eggs," -> "egg"; modifiers are kept if nothing else is left
+export function canonicalFoodName(name) {
+  const phrase = phraseOf(name);
+  return FOOD_SYNONYMS[phrase] || phrase;
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Mostly "how much of the query is in the candidate", lightly penalizing
+// candidates with many extra words (USDA descriptions are verbose)
+function tokenOverlap(query, candidate) {
+  const qs = new Set(query.split(" "));
+  const cs = new Set(candidate.split(" "));
+  let shared = 0;
+  for (const t of qs) if (cs.has(t)) shared += 1;
+  return (shared / qs.size) * (0.75 + (0.25 * shared) / cs.size);
+}
+
+export function scoreFoodMatch(query, candidate) {
+  const rawQ = String(query || "")
+    .toLowerCase()
+    .trim();
+  const rawC = String(candidate || "")
+    .toLowerCase()
+    .trim();
+  if (rawQ && rawQ === rawC) return { score: 1, match: "exact" };
+
+  const qPhrase = phraseOf(query);
+  const cPhrase = phraseOf(candidate);
+  const q = FOOD_SYNONYMS[qPhrase] || qPhrase;
+  const c = FOOD_SYNONYMS[cPhrase] || cPhrase;
+  if (!q || !c) return { score: 0, match: "none" };
+  if (q === c) {
+    if (qPhrase === cPhrase) return { score: 0.95, match: "normalized" };
+    return { score: 0.9, match: "synonym" };
+  }
+  if (!hasFoodWord(query) || !hasFoodWord(candidate))
+    return { score: 0, match: "none" };
+
+  const edit = 1 - levenshtein(q, c) / Math.max(q.length, c.length);
+  const overlap = 0.9 * tokenOverlap(q, c);
+  return edit >= overlap
+    ? { score: +edit.toFixed(3), match: "fuzzy" }
+    : { score: +overlap.toFixed(3), match: "partial" };
+}
+
+// Best-first; ties keep the candidates' order
+export function rankFoodMatches(query, candidates, { minScore = 0 } = {}) {
+  return candidates
+    .map((name, index) => ({ name, index, ...scoreFoodMatch(query, name) }))
+    .filter((c) => c.score > 0 && c.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((c) => ({ name: c.name, score: c.score, match: c.match }));
+}
@@ -0,0 +1,240 @@
+// GPS track helpers: distance, simplification, encoding and GPX/TCX I/O.
+// A point is { lat, lon, t (ISO string), ele? }.
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export function haversineM(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function trackDistanceM(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++)
+    total += haversineM(points[i - 1], points[i]);
+  return total;
+}
+
+// Perpendicular distance from p to segment a-b, in metres (equirectangular;
+// fine at walk scale)
+function segmentDistanceM(p, a, b) {
+  const lat0 = toRad((a.lat + b.lat) / 2);
+  const x = (pt) => toRad(pt.lon) * Math.cos(lat0) * EARTH_RADIUS_M;
+  const y = (pt) => toRad(pt.lat) * EARTH_RADIUS_M;
+  const [px, py, ax, ay, bx, by] = [x(p), y(p), x(a), y(a), x(b), y(b)];
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Douglas-Peucker, iterative so long tracks cannot blow the stack
+export function simplifyTrack(points, toleranceM = 5) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistanceM(points[i], points[first], points[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > toleranceM) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Google encoded polyline (precision 5)
+export function encodePolyline(points) {
+  let out = "";
+  let prevLat = 0;
+  let prevLon = 0;
+  const encode = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let s = "";
+    while (v >= 0x20) {
+      s += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return s + String.fromCharCode(v + 63);
+  };
+  for (const p of points) {
+    const lat = Math.round(p.lat * 1e5);
+    const lon = Math.round(p.lon * 1e5);
+    out += encode(lat - prevLat) + encode(lon - prevLon);
+    prevLat = lat;
+    prevLon = lon;
+  }
+  return out;
+}
+
+export function trackBounds(points) {
+  const lats = points.map((p) => p.lat);
+  const lons = points.map((p) => p.lon);
+  return [
+    Math.min(...lons),
+    Math.min(...lats),
+    Math.max(...lons),
+    Math.max(...lats),
+  ];
+}
+
+/* ------------------------------- GPX / TCX -------------------------------- */
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return m ? m[1] : null;
+}
+
+// First <name ...>...</name> (or <name .../>) at or after `from`, with an
+// optional namespace prefix. Plain indexOf scans keep this linear: a lazy
+// regex body rescans to the end of the file for every unclosed tag.
+function findBlock(xml, name, from = 0) {
+  const open = new RegExp(`<(\\w+:)?${name}\\b`, "g");
+  open.lastIndex = from;
+  const m = open.exec(xml);
+  if (!m) return null;
+  const tagEnd = xml.indexOf(">", open.lastIndex);
+  if (tagEnd === -1) return null;
+  if (xml[tagEnd - 1] === "/")
+    return {
+      attrs: xml.slice(open.lastIndex, tagEnd - 1),
+      body: "",
+      end: tagEnd + 1,
+    };
+  const close = `</${m[1] || ""}${name}>`;
+  const closeAt = xml.indexOf(close, tagEnd + 1);
+  if (closeAt === -1) return null;
+  return {
+    attrs: xml.slice(open.lastIndex, tagEnd),
+    body: xml.slice(tagEnd + 1, closeAt),
+    end: closeAt + close.length,
+  };
+}
+
+function child(xml, name) {
+  const b = findBlock(xml, name);
+  return b ? b.body.trim() : null;
+}
+
+function blocks(xml, name) {
+  const out = [];
+  for (let b = findBlock(xml, name); b; b = findBlock(xml, name, b.end))
+    out.push({ attrs: b.attrs, body: b.body });
+  return out;
+}
+
+// Number(null) and Number("") are 0, which would put a point on the equator;
+// NaN makes the track schema reject it instead
+function coord(v) {
+  return v === null || v === undefined || String(v).trim() === ""
+    ? NaN
+    : Number(v);
+}
+
+function point(lat, lon, t, ele) {
+  const p = { lat: coord(lat), lon: coord(lon), t };
+  if (ele !== null && ele !== undefined && ele !== "") p.ele = Number(ele);
+  return p;
+}
+
+export function parseGpx(xml) {
+  return blocks(xml, "trkpt").map((b) =>
+    point(
+      attr(b.attrs, "lat"),
+      attr(b.attrs, "lon"),
+      child(b.body, "time"),
+      child(b.body, "ele")
+    )
+  );
+}
+
+export function parseTcx(xml) {
+  return (
+    blocks(xml, "Trackpoint")
+      // Trackpoints without a position (pauses, sensor-only samples) are
+      // skipped; one with only half a position still fails validation
+      .filter(
+        (b) =>
+          child(b.body, "LatitudeDegrees") !== null ||
+          child(b.body, "LongitudeDegrees") !== null
+      )
+      .map((b) =>
+        point(
+          child(b.body, "LatitudeDegrees"),
+          child(b.body, "LongitudeDegrees"),
+          child(b.body, "Time"),
+          child(b.body, "AltitudeMeters")
+        )
+      )
+  );
+}
+
+// Sniff the format from the document root
+export function parseTrackFile(text) {
+  const xml = String(text || "");
+  if (/<gpx\b/i.test(xml)) return { format: "gpx", points: parseGpx(xml) };
+  if (/<TrainingCenterDatabase\b/.test(xml))
+    return { format: "tcx", points: parseTcx(xml) };
+  throw new Error("Unsupported track file (expected GPX or TCX)");
+}
+
+const xmlEscape = (s) =>
+  String(s).replace(
+    /[<>&"']/g,
+    (c) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[
+        c
+      ])
+  );
+
+export function toGpx(points, { name = "Walk" } = {}) {
+  const pts = points
+    .map((p) => {
+      const ele = p.ele !== undefined ? `<ele>${p.ele}</ele>` : "";
+      const time = p.t ? `<time>${xmlEscape(p.t)}</time>` : "";
+      return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}${time}</trkpt>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="walklet-api" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${xmlEscape(name)}</name>
+    <trkseg>
+${pts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+export function toGeoJsonLine(points, properties = {}) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((p) =>
+        p.ele !== undefined ? [p.lon, p.lat, p.ele] : [p.lon, p.lat]
+      ),
+    },
+    properties: {
+      ...properties,
+      times: points.map((p) => p.t ?? null),
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Pluggable mail delivery. A transport is any object with
+// `send({ to, subject, text, html })` returning a promise.
+//
+// MAIL_TRANSPORT=outbox  (default) writes each message as JSON to MAIL_OUTBOX_DIR
+// MAIL_TRANSPORT=console logs messages instead of sending them
+// MAIL_TRANSPORT=webhook POSTs the message JSON to MAIL_WEBHOOK_URL (e.g. a relay)
+//
+// Outbox and console never deliver anything, so with NODE_ENV=production the
+// transport must be set to webhook; otherwise startup fails.
+
+const MAIL_FROM = (
+  process.env.MAIL_FROM || "Walklet <no-reply@walklet.local>"
+).trim();
+
+export function outboxTransport(dir) {
+  return {
+    name: "outbox",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ id, ...message }, null, 2));
+      return { id, file };
+    },
+  };
+}
+
+export function consoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log("[mail]", JSON.stringify(message));
+      return { id: null };
+    },
+  };
+}
+
+export function webhookTransport(url) {
+  return {
+    name: "webhook",
+    async send(message) {
+      const r = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message),
+      });
+      if (!r.ok) throw new Error(`Mail webhook failed (${r.status})`);
+      return { id: r.headers.get("x-message-id") };
+    },
+  };
+}
+
+function transportFromEnv() {
+  const production = process.env.NODE_ENV === "production";
+  const kind = (process.env.MAIL_TRANSPORT || (production ? "" : "outbox"))
+    .trim()
+    .toLowerCase();
+  if (kind === "webhook") {
+    const url = (process.env.MAIL_WEBHOOK_URL || "").trim();
+    if (!url) throw new Error("MAIL_WEBHOOK_URL missing for webhook transport");
+    return webhookTransport(url);
+  }
+  if (production)
+    throw new Error(
+      kind
+        ? `MAIL_TRANSPORT=${kind} does not deliver mail in production`
+        : "MAIL_TRANSPORT missing (use webhook)"
+    );
+  if (kind === "console") return consoleTransport();
+  return outboxTransport(
+    path.resolve(process.env.MAIL_OUTBOX_DIR || "./outbox")
+  );
+}
+
+// Built at import so a misconfigured production deploy fails at startup
+let transport = transportFromEnv();
+
+// Swap the transport at runtime (custom providers, tests)
+export function setMailTransport(next) {
+  transport = next;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  return transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html: html || null,
+    createdAt: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,134 @@
+// Nutrients tracked per 100 g and per meal. The key suffix is the unit; the
+// spec says where each value comes from in USDA FoodData Central payloads
+// (nutrient numbers, Branded `labelNutrients` key) and how it is rounded.
+// A null micronutrient means "not reported", which is different from 0;
+// macronutrients are always numbers.
+
+export const MACRONUTRIENTS = [
+  { key: "calories", unit: "kcal", decimals: 1 },
+  { key: "protein_g", unit: "g", decimals: 1 },
+  { key: "carbs_g", unit: "g", decimals: 1 },
+  { key: "fat_g", unit: "g", decimals: 1 },
+];
+
+export const MICRONUTRIENTS = [
+  {
+    key: "fiber_g",
+    unit: "g",
+    decimals: 1,
+    numbers: ["291"],
+    label: "fiber",
+  },
+  {
+    key: "sugars_g",
+    unit: "g",
+    decimals: 1,
+    numbers: ["269", "2000"],
+    label: "sugars",
+  },
+  {
+    key: "saturated_fat_g",
+    unit: "g",
+    decimals: 1,
+    numbers: ["606"],
+    label: "saturatedFat",
+  },
+  {
+    key: "sodium_mg",
+    unit: "mg",
+    decimals: 0,
+    numbers: ["307"],
+    label: "sodium",
+  },
+  {
+    key: "cholesterol_mg",
+    unit: "mg",
+    decimals: 0,
+    numbers: ["601"],
+    label: "cholesterol",
+  },
+  {
+    key: "calcium_mg",
+    unit: "mg",
+    decimals: 0,
+    numbers: ["301"],
+    label: "calcium",
+  },
+  {
+    key: "iron_mg",
+    unit: "mg",
+    decimals: 2,
+    numbers: ["303"],
+    label: "iron",
+  },
+  {
+    key: "potassium_mg",
+    unit: "mg",
+    decimals: 0,
+    numbers: ["306"],
+    label: "potassium",
+  },
+];
+
+export const NUTRIENTS = [...MACRONUTRIENTS, ...MICRONUTRIENTS];
+export const NUTRIENT_KEYS = NUTRIENTS.map((n) => n.key);
+const MACRO_KEYS = new Set(MACRONUTRIENTS.map((n) => n.key));
+export const NUTRIENT_UNITS = Object.fromEntries(
+  NUTRIENTS.map((n) => [n.key, n.unit])
+);
+
+const MASS_IN_G = { g: 1, mg: 1e-3, ug: 1e-6, µg: 1e-6, mcg: 1e-6 };
+
+// Mass units only; anything else (IU, kcal) is returned unchanged when the
+// units already match, else null
+export function convertAmount(amount, fromUnit, toUnit) {
+  const from = String(fromUnit || "").toLowerCase();
+  const to = String(toUnit || "").toLowerCase();
+  if (from === to) return amount;
+  if (!MASS_IN_G[from] || !MASS_IN_G[to]) return null;
+  return (amount * MASS_IN_G[from]) / MASS_IN_G[to];
+}
+
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+const missing = (v) => v === null || v === undefined || v === "";
+
+// Every key present: missing macronutrients become 0, micronutrients null
+export function completeNutrients(values) {
+  const out = {};
+  for (const n of NUTRIENTS) {
+    const v = values?.[n.key];
+    if (!missing(v)) out[n.key] = Number(v);
+    else out[n.key] = MACRO_KEYS.has(n.key) ? 0 : null;
+  }
+  return out;
+}
+
+export function scaleNutrients(per100, factor) {
+  const out = {};
+  for (const [key, v] of Object.entries(completeNutrients(per100))) {
+    const { decimals } = NUTRIENTS.find((n) => n.key === key);
+    out[key] = v === null ? null : round(v * factor, decimals);
+  }
+  return out;
+}
+
+// Totals skip nulls; a nutrient nobody reported stays null. Calories are
+// whole numbers at meal level.
+export function sumNutrients(parts) {
+  const out = {};
+  for (const n of NUTRIENTS) {
+    let total = MACRO_KEYS.has(n.key) ? 0 : null;
+    for (const p of parts) {
+      const v = p?.[n.key];
+      if (missing(v)) continue;
+      total = (total || 0) + Number(v);
+    }
+    if (total === null) out[n.key] = null;
+    else if (n.key === "calories") out[n.key] = Math.round(total);
+    else out[n.key] = round(total, n.decimals);
+  }
+  return out;
+}
@@ -0,0 +1,222 @@
+import { singularize } from "./foodmatch.js";
+
+// Household portions: turn { quantity, unit } into grams.
+//
+// Resolution order: mass units (exact), the food's USDA foodPortions /
+// serving size, the curated LOCAL_PORTIONS table, then volume units treated
+// as water (approximate). Every result says which conversion was used.
+
+const MASS_G = { g: 1, kg: 1000, mg: 0.001, oz: 28.3495, lb: 453.592 };
+const VOLUME_ML = {
+  ml: 1,
+  l: 1000,
+  tsp: 4.93,
+  tbsp: 14.79,
+  floz: 29.57,
+  cup: 236.59,
+};
+
+const UNIT_ALIASES = {
+  gram: "g",
+  gr: "g",
+  kilogram: "kg",
+  milligram: "mg",
+  ounce: "oz",
+  pound: "lb",
+  lbs: "lb",
+  milliliter: "ml",
+  millilitre: "ml",
+  liter: "l",
+  litre: "l",
+  teaspoon: "tsp",
+  tablespoon: "tbsp",
+  tbs: "tbsp",
+  "fl oz": "floz",
+  "fluid ounce": "floz",
+  pc: "piece",
+  pcs: "piece",
+  whole: "each",
+  item: "each",
+  unit: "each",
+  "extra large": "large",
+};
+
+// Units that can stand in for one another when the exact one is missing
+const COUNT_FALLBACKS = {
+  each: ["piece", "medium", "serving"],
+  piece: ["each", "medium", "slice"],
+  serving: ["each", "piece"],
+};
+
+// Grams per unit for the built-in foods (USDA SR Legacy household measures)
+export const LOCAL_PORTIONS = {
+  apple: { small: 149, medium: 182, large: 223, cup: 109 },
+  banana: { small: 101, medium: 118, large: 136, cup: 150 },
+  orange: { small: 96, medium: 131, large: 184, cup: 180 },
+  rice: { cup: 158, tbsp: 10, serving: 158 },
+  "chicken breast": { piece: 172, cup: 140, serving: 85 },
+  egg: { small: 38, medium: 44, large: 50, each: 50 },
+  beef: { piece: 85, serving: 85, cup: 140 },
+  fish: { fillet: 154, piece: 154, serving: 85 },
+  yogurt: { cup: 245, container: 170, tbsp: 15 },
+  milk: { cup: 244, glass: 244, tbsp: 15 },
+  bread: { slice: 28, piece: 28 },
+  fries: { small: 71, medium: 117, large: 154, serving: 117 },
+  burger: { each: 150, serving: 150 },
+  sandwich: { each: 180, serving: 180 },
+  pizza: { slice: 107, piece: 107 },
+  donut: { each: 60, medium: 60, large: 75 },
+  cake: { slice: 80, piece: 80 },
+};
+
+export function normalizeUnit(raw) {
+  const u = String(raw || "")
+    .toLowerCase()
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!u) return "each";
+  if (UNIT_ALIASES[u]) return UNIT_ALIASES[u];
+  const single = u
+    .split(" ")
+    .map((w) => singularize(w))
+    .join(" ");
+  return UNIT_ALIASES[single] || single;
+}
+
+function parseAmount(text) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(?:\/(\d+))?\s+(.*)$/);
+  if (!m) return { amount: 1, rest: String(text || "").trim() };
+  const amount = m[2] ? Number(m[1]) / Number(m[2]) : Number(m[1]);
+  return { amount: amount > 0 ? amount : 1, rest: m[3] };
+}
+
+// "cup, chopped" / "medium (7\" long)" -> "cup" / "medium". FNDDS uses
+// "Quantity not specified" for its default portion.
+function unitFromText(text) {
+  const lower = String(text || "").toLowerCase();
+  if (lower.startsWith("quantity not specified")) return "serving";
+  const word = lower.match(/^[a-z]+(?: (?:oz|large))?/);
+  return word ? normalizeUnit(word[0]) : null;
+}
+
+// [{ unit, gramsPerUnit, description }] from a USDA food detail payload
+export function extractUsdaPortions(food) {
+  const portions = [];
+  const add = (unit, gramsPerUnit, description) => {
+    if (!unit || !(gramsPerUnit > 0)) return;
+    if (portions.some((p) => p.unit === unit)) return;
+    portions.push({
+      unit,
+      gramsPerUnit: Number(gramsPerUnit.toFixed(2)),
+      description,
+    });
+  };
+
+  for (const p of Array.isArray(food?.foodPortions) ? food.foodPortions : []) {
+    const gramWeight = Number(p.gramWeight || 0);
+    const measure = p.measureUnit?.name;
+    let amount = Number(p.amount || 0) || 1;
+    let text;
+    if (measure && measure !== "undetermined") text = measure;
+    else if (p.modifier && !/^\d+$/.test(String(p.modifier))) text = p.modifier;
+    else if (p.portionDescription) {
+      const parsed = parseAmount(p.portionDescription);
+      amount = parsed.amount;
+      text = parsed.rest;
+    }
+    const description =
+      p.portionDescription ||
+      [p.amount, measure !== "undetermined" ? measure : null, p.modifier]
+        .filter(Boolean)
+        .join(" ");
+    add(unitFromText(text), gramWeight / amount, description);
+  }
+
+  // Branded foods: one serving, optionally with a household description
+  const servingSize = Number(food?.servingSize || 0);
+  const servingUnit = normalizeUnit(food?.servingSizeUnit);
+  if (servingSize > 0 && MASS_G[servingUnit]) {
+    const grams = servingSize * MASS_G[servingUnit];
+    const household = food.householdServingFullText || "";
+    add("serving", grams, household || `${servingSize} ${servingUnit}`);
+    if (household) {
+      const parsed = parseAmount(household);
+      add(unitFromText(parsed.rest), grams / parsed.amount, household);
+    }
+  }
+  return portions;
+}
+
+function lookup(table, unit) {
+  if (table[unit]) return { unit, gramsPerUnit: table[unit] };
+  for (const alt of COUNT_FALLBACKS[unit] || [])
+    if (table[alt]) return { unit: alt, gramsPerUnit: table[alt] };
+  return null;
+}
+
+// Same ceiling the API puts on an item given in grams
+export const MAX_PORTION_G = 2000;
+
+// Returns { grams, conversion }, or { error } when the unit cannot be
+// resolved ("unknown_unit") or the portion weighs over MAX_PORTION_G
+// ("over_max", with the grams it came to)
+export function resolvePortion(portion, options) {
+  const resolved = convertPortion(portion, options);
+  if (!resolved) return { error: "unknown_unit" };
+  if (resolved.grams > MAX_PORTION_G)
+    return { error: "over_max", grams: resolved.grams };
+  return resolved;
+}
+
+function convertPortion(
+  { quantity, unit },
+  { usdaPortions = [], localKey = null } = {}
+) {
+  const u = normalizeUnit(unit);
+  const grams = (gramsPerUnit) => Number((quantity * gramsPerUnit).toFixed(1));
+
+  if (MASS_G[u])
+    return {
+      grams: grams(MASS_G[u]),
+      conversion: { method: "mass", unit: u, gramsPerUnit: MASS_G[u] },
+    };
+
+  const usdaTable = Object.fromEntries(
+    usdaPortions.map((p) => [p.unit, p.gramsPerUnit])
+  );
+  const usda = lookup(usdaTable, u);
+  if (usda) {
+    const portion = usdaPortions.find((p) => p.unit === usda.unit);
+    return {
+      grams: grams(usda.gramsPerUnit),
+      conversion: {
+        method: "usda_portion",
+        ...usda,
+        description: portion.description,
+      },
+    };
+  }
+
+  const local = localKey && LOCAL_PORTIONS[localKey];
+  const hit = local && lookup(local, u);
+  if (hit)
+    return {
+      grams: grams(hit.gramsPerUnit),
+      conversion: { method: "local_portion", ...hit },
+    };
+
+  if (VOLUME_ML[u])
+    return {
+      grams: grams(VOLUME_ML[u]),
+      conversion: {
+        method: "volume_as_water",
+        unit: u,
+        gramsPerUnit: VOLUME_ML[u],
+        approximate: true,
+      },
+    };
+  return null;
+}
@@ -0,0 +1,206 @@
+// Rate limiting + login lockout.
+//
+// Limits are sliding-window counters keyed on route + IP and/or account.
+// State lives in a store: any object with async `increment(key, ttlMs)`,
+// `get(key)`, `set(key, value, ttlMs)` and `delete(key)`. The in-memory
+// store suits a single instance and tests; shared deployments plug in a
+// store backed by Redis or Postgres via setRateLimitStore().
+
+export function createMemoryStore({ sweepMs = 60_000 } = {}) {
+  const entries = new Map();
+  const live = (key, now = Date.now()) => {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (e.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  };
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) if (e.expiresAt <= now) entries.delete(key);
+  }, sweepMs);
+  timer.unref?.();
+
+  return {
+    async increment(key, ttlMs) {
+      const e = live(key);
+      if (e) {
+        e.value += 1;
+        return e.value;
+      }
+      entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+let defaultStore = createMemoryStore();
+
+export function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+export function getRateLimitStore() {
+  return defaultStore;
+}
+
+// Sliding window counter: this window's hits plus the previous window's,
+// weighted by how much of it still overlaps the sliding window.
+export async function hitSlidingWindow(store, key, windowMs, now = Date.now()) {
+  const index = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  const [current, previous] = await Promise.all([
+    store.increment(`${key}:${index}`, windowMs * 2),
+    store.get(`${key}:${index - 1}`),
+  ]);
+  const count = current + Number(previous || 0) * (1 - elapsed);
+  return {
+    count: Math.ceil(count),
+    resetMs: (index + 1) * windowMs - now,
+  };
+}
+
+function setRateLimitHeaders(res, { limit, remaining, resetMs }) {
+  res.set("RateLimit-Limit", String(limit));
+  res.set("RateLimit-Remaining", String(Math.max(0, remaining)));
+  res.set("RateLimit-Reset", String(Math.ceil(resetMs / 1000)));
+}
+
+function tooMany(res, retryAfterMs, error) {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ error });
+}
+
+export function normalizeAccount(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Express middleware. `by` lists the dimensions to key on ("ip", "account");
+// each one gets its own counter and the tightest one drives the headers.
+export function rateLimit({
+  name,
+  windowMs,
+  max,
+  by = ["ip"],
+  account = (req) => normalizeAccount(req.body?.email),
+  store,
+}) {
+  return async (req, res, next) => {
+    const s = store || defaultStore;
+    const keys = [];
+    if (by.includes("ip")) keys.push(`rl:${name}:ip:${req.ip}`);
+    if (by.includes("account")) {
+      const acct = account(req);
+      if (acct) keys.push(`rl:${name}:acct:${acct}`);
+    }
+
+    try {
+      const hits = await Promise.all(
+        keys.map((k) => hitSlidingWindow(s, k, windowMs))
+      );
+      const worst = hits.reduce((a, b) => (b.count > a.count ? b : a), {
+        count: 0,
+        resetMs: windowMs,
+      });
+      setRateLimitHeaders(res, {
+        limit: max,
+        remaining: max - worst.count,
+        resetMs: worst.resetMs,
+      });
+      if (worst.count > max)
+        return tooMany(res, worst.resetMs, "Too many requests, slow down");
+    } catch (e) {
+      // Fail open: a broken store must not take auth down with it
+      console.error("Rate limit store error:", e);
+    }
+    next();
+  };
+}
+
+// Progressive lockout after repeated failed logins for the same account from
+// the same IP. Keying on the account alone would let anyone lock a victim out
+// by guessing badly; spread-out guessing is left to the per-account rate
+// limit. Each failure past the threshold doubles the lock, up to maxLockMs.
+export function createLoginGuard({
+  threshold = 5,
+  failureTtlMs = 15 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  store,
+} = {}) {
+  const keysFor = (ip, acct) => [`lk:ipacct:${ip}:${acct}`];
+
+  return {
+    // { locked: false } or { locked: true, retryAfterMs }
+    async check(ip, acct) {
+      const s = store || defaultStore;
+      const locks = await Promise.all(
+        keysFor(ip, acct).map((k) => s.get(`${k}:until`))
+      );
+      const until = Math.max(0, ...locks.map((v) => Number(v || 0)));
+      const retryAfterMs = until - Date.now();
+      return retryAfterMs > 0
+        ? { locked: true, retryAfterMs }
+        : { locked: false };
+    },
+
+    async recordFailure(ip, acct) {
+      const s = store || defaultStore;
+      for (const k of keysFor(ip, acct)) {
+        const failures = await s.increment(`${k}:fails`, failureTtlMs);
+        if (failures >= threshold) {
+          const lockMs = Math.min(
+            maxLockMs,
+            baseLockMs * 2 ** (failures - threshold)
+          );
+          await s.set(`${k}:until`, Date.now() + lockMs, lockMs);
+        }
+      }
+    },
+
+    async recordSuccess(ip, acct) {
+      const s = store || defaultStore;
+      for (const k of keysFor(ip, acct)) {
+        await s.delete(`${k}:fails`);
+        await s.delete(`${k}:until`);
+      }
+    },
+
+    // Middleware that rejects requests for a locked account up front
+    middleware(account = (req) => normalizeAccount(req.body?.email)) {
+      return async (req, res, next) => {
+        const acct = account(req);
+        if (!acct) return next();
+        try {
+          const state = await this.check(req.ip, acct);
+          if (state.locked)
+            return tooMany(
+              res,
+              state.retryAfterMs,
+              "Too many failed attempts. Try again later."
+            );
+        } catch (e) {
+          console.error("Login guard store error:", e);
+        }
+        next();
+      };
+    },
+  };
+}
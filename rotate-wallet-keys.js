@@ -0,0 +1,100 @@
+// Re-encrypt every stored app wallet under the current WALLET_ENCRYPTION_KEY.
+//
+// Usage:
+//   node rotate-wallet-keys.js [--dry-run] [--batch=100]
+//
+// Keep the previous key in WALLET_RETIRED_KEYS until this reports 0 failed.
+import "dotenv/config";
+import { supabase } from "./db.js";
+import {
+  currentKeyId,
+  reencryptWalletBundle,
+  walletBundleFromRow,
+  walletRowFields,
+  walletFromRow,
+} from "./wallet.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const batchArg = args.find((a) => a.startsWith("--batch="));
+const BATCH = Math.max(1, Number(batchArg?.split("=")[1] || 100));
+
+// Rows still on another key (or written before key ids existed)
+async function countPending(keyId) {
+  const { count, error } = await supabase
+    .from("users")
+    .select("id", { count: "exact", head: true })
+    .not("wallet_encrypted", "is", null)
+    .or(`wallet_key_id.is.null,wallet_key_id.neq.${keyId}`);
+  if (error) throw new Error(`Count failed: ${error.message}`);
+  return count || 0;
+}
+
+async function fetchBatch(keyId, afterId) {
+  let q = supabase
+    .from("users")
+    .select(
+      "id, wallet_address, wallet_encrypted, wallet_iv, wallet_tag, wallet_alg, wallet_key_id"
+    )
+    .not("wallet_encrypted", "is", null)
+    .or(`wallet_key_id.is.null,wallet_key_id.neq.${keyId}`)
+    .order("id", { ascending: true })
+    .limit(BATCH);
+  if (afterId) q = q.gt("id", afterId);
+  const { data, error } = await q;
+  if (error) throw new Error(`Fetch failed: ${error.message}`);
+  return data || [];
+}
+
+async function rotate() {
+  const keyId = currentKeyId();
+  const total = await countPending(keyId);
+  console.log(
+    `[rotate] ${total} wallet(s) to re-encrypt under key "${keyId}"${
+      dryRun ? " (dry run)" : ""
+    }`
+  );
+
+  const stats = { done: 0, rotated: 0, failed: 0 };
+  let afterId = null;
+  for (;;) {
+    const rows = await fetchBatch(keyId, afterId);
+    if (rows.length === 0) break;
+    afterId = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      stats.done += 1;
+      try {
+        // Also proves the old bundle still matches the stored address
+        walletFromRow(row);
+        const bundle = reencryptWalletBundle(walletBundleFromRow(row));
+        if (!dryRun) {
+          const { error } = await supabase
+            .from("users")
+            .update(walletRowFields(bundle))
+            .eq("id", row.id)
+            .eq("wallet_encrypted", row.wallet_encrypted);
+          if (error) throw new Error(error.message);
+        }
+        stats.rotated += 1;
+      } catch (e) {
+        stats.failed += 1;
+        console.error(`[rotate] user ${row.id} failed: ${e.message}`);
+      }
+    }
+
+    console.log(
+      `[rotate] ${stats.done}/${total} processed, ${stats.rotated} re-encrypted, ${stats.failed} failed`
+    );
+  }
+
+  console.log("[rotate] finished", stats);
+  return stats;
+}
+
+rotate()
+  .then((stats) => process.exit(stats.failed > 0 ? 1 : 0))
+  .catch((e) => {
+    console.error("[rotate] aborted:", e.message);
+    process.exit(1);
+  });
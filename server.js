@@ -1,14 +1,82 @@
 import "dotenv/config";
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import bcrypt from "bcryptjs";
 import { z } from "zod";
 import multer from "multer";
 import { OAuth2Client } from "google-auth-library";
-import { supabase } from "./db.js";
-import { authMiddleware, createToken } from "./auth.js";
-import { createAndEncryptWallet } from "./wallet.js";
-import { Wallet, getBytes, solidityPackedKeccak256, parseUnits } from "ethers";
+import { selectAllRows, supabase } from "./db.js";
+import {
+  authMiddleware,
+  issueSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from "./auth.js";
+import {
+  createAndEncryptWallet,
+  walletFromRow,
+  walletRowFields,
+} from "./wallet.js";
+import {
+  generateSiweNonce,
+  parseSiweMessage,
+  verifySiweMessage,
+} from "./siwe.js";
+import { sendMail } from "./mailer.js";
+import { createLoginGuard, rateLimit } from "./ratelimit.js";
+import {
+  describeTz,
+  isValidTimeZone,
+  localDateKey,
+  localDayWindow,
+  localMidnightUtcMs,
+  resolveTz,
+} from "./timezone.js";
+import { evaluateWalk } from "./walkcheck.js";
+import {
+  encodePolyline,
+  parseTrackFile,
+  simplifyTrack,
+  toGeoJsonLine,
+  toGpx,
+  trackBounds,
+  trackDistanceM,
+} from "./geo.js";
+import {
+  ACHIEVEMENTS,
+  computeStats,
+  computeStreaks,
+  earnedAchievements,
+} from "./achievements.js";
+import { estimateWalkKcal } from "./energy.js";
+import { visionProviderFromEnv } from "./vision.js";
+import { createFoodCache } from "./foodcache.js";
+import { rankFoodMatches, scoreFoodMatch } from "./foodmatch.js";
+import {
+  MICRONUTRIENTS,
+  NUTRIENT_KEYS,
+  NUTRIENT_UNITS,
+  completeNutrients,
+  convertAmount,
+  scaleNutrients,
+  sumNutrients,
+} from "./nutrients.js";
+import {
+  MAX_PORTION_G,
+  extractUsdaPortions,
+  resolvePortion,
+} from "./portions.js";
+import {
+  Interface,
+  JsonRpcProvider,
+  Wallet,
+  getBytes,
+  solidityPackedKeccak256,
+  parseUnits,
+} from "ethers";
 
 /* ----------------------------- App bootstrap ----------------------------- */
 const app = express();
@@ -36,7 +104,55 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+// Default body limit everywhere except the track uploads, which parse their
+// own (larger) bodies after authentication
+const TRACK_UPLOAD_ROUTES = new Set(["POST /walks", "POST /walks/batch"]);
+const jsonBody = express.json();
+const trackJsonBody = express.json({ limit: "5mb" });
+app.use((req, res, next) =>
+  TRACK_UPLOAD_ROUTES.has(`${req.method} ${req.path}`)
+    ? next()
+    : jsonBody(req, res, next)
+);
+// Behind a proxy/load balancer, req.ip must come from X-Forwarded-For.
+// Express reads a string as addresses, so hop counts and booleans are parsed.
+function parseTrustProxy(raw) {
+  const v = String(raw || "").trim();
+  if (/^\d+$/.test(v)) return Number(v);
+  if (v === "true") return true;
+  if (v === "false") return false;
+  return v;
+}
+if (process.env.TRUST_PROXY)
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+/* ------------------------------ Rate limiting ----------------------------- */
+const MINUTE = 60 * 1000;
+const limits = {
+  signup: rateLimit({ name: "signup", windowMs: 60 * MINUTE, max: 10 }),
+  login: rateLimit({
+    name: "login",
+    windowMs: 15 * MINUTE,
+    max: 20,
+    by: ["ip", "account"],
+  }),
+  google: rateLimit({ name: "google", windowMs: 15 * MINUTE, max: 30 }),
+  refresh: rateLimit({ name: "refresh", windowMs: 15 * MINUTE, max: 60 }),
+  passwordReset: rateLimit({
+    name: "password-reset",
+    windowMs: 60 * MINUTE,
+    max: 5,
+    by: ["ip", "account"],
+  }),
+  sensitive: rateLimit({
+    name: "sensitive",
+    windowMs: 15 * MINUTE,
+    max: 10,
+    by: ["ip", "account"],
+    account: (req) => req.user?.sub,
+  }),
+};
+const loginGuard = createLoginGuard();
 
 /* ------------------------------ Dev helpers ------------------------------ */
 const devGuard = (req, res, next) => {
@@ -46,24 +162,66 @@ const devGuard = (req, res, next) => {
     .json({ error: "Dev tools disabled. Set DEV_TOOLS=1 in .env" });
 };
 
+// Admin is a flag on the user row, set in the database. Token claims are
+// never trusted for it.
+const adminGuard = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .select("is_admin")
+      .eq("id", req.user.sub)
+      .maybeSingle();
+    if (error) throw new Error("Admin lookup failed");
+    if (data?.is_admin === true) return next();
+    return res.status(403).json({ error: "Admin only" });
+  } catch (e) {
+    console.error("Admin check error:", e);
+    return res.status(500).json({ error: "Admin check failed" });
+  }
+};
+
 app.get("/dev/info", (req, res) => {
   return res.status(200).json({ enabled: process.env.DEV_TOOLS === "1" });
 });
 
 /* -------------------------- Time window helpers -------------------------- */
-// tzOffsetMin: minutes EAST of UTC (e.g., +60 for UTC+1)
-function localWindowUtc(tzOffsetMin = 0) {
-  const offsetMin = Number(tzOffsetMin || 0);
-  const now = new Date();
-  const localNowMs = now.getTime() + offsetMin * 60000;
-  const localMidnight = new Date(localNowMs);
-  localMidnight.setUTCHours(0, 0, 0, 0);
-  const startUtcMs = localMidnight.getTime() - offsetMin * 60000;
-  const endUtcMs = startUtcMs + 24 * 60 * 60 * 1000;
-  return {
-    startUtc: new Date(startUtcMs).toISOString(),
-    endUtc: new Date(endUtcMs).toISOString(),
-  };
+// Day boundaries come from timezone.js (profile IANA zone, or the legacy
+// tzOffsetMin query parameter as a fallback)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function loadUserTz(userId, tzOffsetMin) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("timezone")
+    .eq("id", userId)
+    .single();
+  if (error) throw new Error("User lookup failed");
+  return resolveTz(data?.timezone, tzOffsetMin);
+}
+
+function addDays(dateKey, n) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + n * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// First local day of the bucket containing dateKey (weeks start Monday)
+function bucketStartKey(dateKey, granularity) {
+  if (granularity === "month") return `${dateKey.slice(0, 7)}-01`;
+  if (granularity === "week") {
+    const dow = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return addDays(dateKey, -((dow + 6) % 7));
+  }
+  return dateKey;
+}
+
+function nextBucketKey(startKey, granularity) {
+  if (granularity === "month") {
+    const d = new Date(`${startKey}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    return d.toISOString().slice(0, 10);
+  }
+  return addDays(startKey, granularity === "week" ? 7 : 1);
 }
 
 /* --------------------------------- Schemas -------------------------------- */
@@ -96,6 +254,14 @@ const goalSchema = z.object({
   dailyStepGoal: z.coerce.number().int().min(0).max(200000),
 });
 
+const MAX_TRACK_POINTS = 20000;
+const trackPointSchema = z.object({
+  lat: z.number().min(-90).max(90),
+  lon: z.number().min(-180).max(180),
+  t: z.string().refine((s) => !isNaN(Date.parse(s)), "Invalid point time"),
+  ele: z.number().optional(),
+});
+
 const walkSchema = z
   .object({
     startedAt: z
@@ -105,29 +271,160 @@ const walkSchema = z
     durationSec: z.number().int().min(0),
     distanceM: z.number().min(0),
     steps: z.number().int().min(0),
+    track: z.array(trackPointSchema).min(2).max(MAX_TRACK_POINTS).optional(),
+    // Client-generated UUID; makes retries idempotent
+    clientId: z.string().uuid().optional(),
   })
   .refine((v) => Date.parse(v.endedAt) >= Date.parse(v.startedAt), {
     message: "endedAt must be after startedAt",
     path: ["endedAt"],
   });
 
+const walkBatchItemSchema = walkSchema.refine((v) => Boolean(v.clientId), {
+  message: "clientId is required in a batch",
+  path: ["clientId"],
+});
+
+// Legacy: only used until the user stores an IANA zone on their profile
 const tzSchema = z.object({
-  tzOffsetMin: z.coerce.number().optional().default(0),
+  tzOffsetMin: z.coerce.number().min(-720).max(840).optional().default(0),
 });
 
+const dateKeySchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD")
+  .refine((s) => {
+    // Date.UTC rolls 2024-02-31 over into March; a real date survives intact
+    const [y, m, d] = s.split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10) === s;
+  }, "Invalid date");
+
+const MAX_HISTORY_DAYS = 366;
+const walkHistorySchema = tzSchema
+  .extend({
+    from: dateKeySchema,
+    to: dateKeySchema,
+    granularity: z.enum(["day", "week", "month"]).default("day"),
+  })
+  .refine((v) => v.from <= v.to, {
+    message: "from must be on or before to",
+    path: ["to"],
+  })
+  .refine(
+    (v) => (Date.parse(v.to) - Date.parse(v.from)) / DAY_MS < MAX_HISTORY_DAYS,
+    { message: `Range is limited to ${MAX_HISTORY_DAYS} days`, path: ["to"] }
+  );
+
 const mealAnalyzeSchema = z.object({
   mealType: z.enum(["breakfast", "lunch", "dinner"]).optional(),
 });
 
+// An item is weighed in grams or given as a household portion
+// ({ quantity: 2, unit: "slice" }; no unit means a count, e.g. 2 eggs)
+const mealItemSchema = z
+  .object({
+    name: z.string().min(1),
+    grams: z.coerce.number().min(0).max(MAX_PORTION_G).optional(),
+    quantity: z.coerce.number().positive().max(100).optional(),
+    unit: z.string().trim().max(30).optional(),
+  })
+  .refine((v) => (v.grams === undefined) !== (v.quantity === undefined), {
+    message: "Provide either grams or quantity",
+  })
+  .refine((v) => v.unit === undefined || v.quantity !== undefined, {
+    message: "unit requires quantity",
+    path: ["unit"],
+  });
+
 const usdaComputeSchema = z.object({
-  items: z.array(
-    z.object({
-      name: z.string().min(1),
-      grams: z.coerce.number().min(0).max(2000),
-    })
+  items: z.array(mealItemSchema),
+});
+
+const MAX_MEAL_PAGE = 100;
+const mealListSchema = tzSchema
+  .extend({
+    from: dateKeySchema.optional(),
+    to: dateKeySchema.optional(),
+    limit: z.coerce.number().int().min(1).max(MAX_MEAL_PAGE).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+  })
+  .refine((v) => !v.from || !v.to || v.from <= v.to, {
+    message: "from must be on or before to",
+    path: ["to"],
+  })
+  .refine(
+    (v) =>
+      !v.from ||
+      !v.to ||
+      (Date.parse(v.to) - Date.parse(v.from)) / DAY_MS < MAX_HISTORY_DAYS,
+    { message: `Range is limited to ${MAX_HISTORY_DAYS} days`, path: ["to"] }
+  );
+
+// Corrections to detected items; omit `items` to accept them as detected
+const mealConfirmSchema = z.object({
+  items: usdaComputeSchema.shape.items.min(1).max(30).optional(),
+});
+
+const foodSearchSchema = z.object({
+  q: z.string().trim().min(1).max(100),
+  limit: z.coerce.number().int().min(1).max(25).default(10),
+  usda: z.enum(["0", "1"]).default("1"),
+});
+
+const per100Schema = z.object({
+  calories: z.coerce.number().min(0).max(900),
+  protein_g: z.coerce.number().min(0).max(100),
+  carbs_g: z.coerce.number().min(0).max(100),
+  fat_g: z.coerce.number().min(0).max(100),
+  // Optional; leave out (or null) when unknown
+  ...Object.fromEntries(
+    MICRONUTRIENTS.map((m) => [
+      m.key,
+      z
+        .number()
+        .min(0)
+        .max(m.unit === "g" ? 100 : 100000)
+        .nullable()
+        .optional(),
+    ])
   ),
 });
 
+// A custom food gives its values per 100 g directly, or is a recipe whose
+// per-100g values are derived from its ingredients
+const customFoodShape = {
+  name: z.string().trim().min(1).max(100),
+  per100: per100Schema.optional(),
+  ingredients: usdaComputeSchema.shape.items.min(1).max(50).optional(),
+};
+const customFoodSchema = z
+  .object(customFoodShape)
+  .refine((v) => Boolean(v.per100) !== Boolean(v.ingredients), {
+    message: "Provide either per100 or ingredients",
+  });
+const customFoodUpdateSchema = z
+  .object({ ...customFoodShape, name: customFoodShape.name.optional() })
+  .refine((v) => !(v.per100 && v.ingredients), {
+    message: "Provide either per100 or ingredients",
+  })
+  .refine((v) => v.name || v.per100 || v.ingredients, {
+    message: "Nothing to update",
+  });
+
+const mealLogSchema = z.object({
+  mealType: mealAnalyzeSchema.shape.mealType,
+  items: usdaComputeSchema.shape.items.min(1).max(30),
+});
+
+const mealUpdateSchema = z
+  .object({
+    mealType: mealAnalyzeSchema.shape.mealType.nullable(),
+    items: usdaComputeSchema.shape.items.min(1).max(30).optional(),
+  })
+  .refine((v) => v.mealType !== undefined || v.items !== undefined, {
+    message: "Nothing to update",
+  });
+
 /* ----------------------------- mapUser helper ---------------------------- */
 function mapUserRow(row) {
   return {
@@ -141,17 +438,23 @@ function mapUserRow(row) {
         : null,
     heightCm: row.height_cm ?? null,
     walletAddress: row.wallet_address ?? null,
+    walletExportedAt: row.wallet_exported_at ?? null,
+    primaryWalletAddress:
+      row.primary_wallet_address ?? row.wallet_address ?? null,
     dailyStepGoal:
       row.daily_step_goal !== null && row.daily_step_goal !== undefined
         ? Number(row.daily_step_goal)
         : null,
+    timezone: row.timezone ?? null,
     createdAt: row.created_at,
   };
 }
 
 /* ---------------------------- USDA + fallback ---------------------------- */
 const USDA_API_KEY = (process.env.USDA_API_KEY || "").trim();
-const usdaCache = new Map();
+const usdaCache = createFoodCache();
+// Bump when the cached per-100g shape changes so old entries are not reused
+const USDA_CACHE_VERSION = 2;
 const PREFERRED_DATA_TYPES = [
   "Survey (FNDDS)",
   "SR Legacy",
@@ -168,13 +471,16 @@ async function httpGetJson(url) {
   return r.json();
 }
 
-async function usdaSearchFoodByName(name) {
-  const key = `search:${String(name || "")
+// Hits sorted by preferred data type, then USDA relevance. Per-100g values
+// from the search payload are enough for ranking and previews.
+async function usdaSearchFoods(name) {
+  const key = `v${USDA_CACHE_VERSION}:search-list:${String(name || "")
     .toLowerCase()
     .trim()}`;
-  if (usdaCache.has(key)) return usdaCache.get(key);
+  const cached = await usdaCache.get(key);
+  if (cached !== undefined) return cached;
   const q = encodeURIComponent(name);
-  const url = `https://api.nal.usda.gov/fdc/v1/foods/search?query=${q}&pageSize=5&api_key=${USDA_API_KEY}`;
+  const url = `https://api.nal.usda.gov/fdc/v1/foods/search?query=${q}&pageSize=10&api_key=${USDA_API_KEY}`;
   const json = await httpGetJson(url);
   const foods = Array.isArray(json.foods) ? json.foods : [];
   foods.sort((a, b) => {
@@ -185,9 +491,15 @@ async function usdaSearchFoodByName(name) {
     const bs = typeof b.score === "number" ? b.score : 0;
     return bs - as;
   });
-  const best = foods[0] || null;
-  usdaCache.set(key, best);
-  return best;
+  // Only the fields we use; full search hits are large
+  const hits = foods.map((f) => ({
+    fdcId: f.fdcId,
+    description: f.description,
+    dataType: f.dataType,
+    per100: extractPer100gFromFood(f),
+  }));
+  await usdaCache.set(key, hits);
+  return hits;
 }
 
 function extractPer100gFromFood(food) {
@@ -223,6 +535,16 @@ function extractPer100gFromFood(food) {
   const carbs = Number(byNumber(205)?.amount || byNumber(205)?.value || 0);
   const fat = Number(byNumber(204)?.amount || byNumber(204)?.value || 0);
 
+  // Converted to the unit in the key; null when the food does not report it
+  const micros = {};
+  for (const m of MICRONUTRIENTS) {
+    const hit = m.numbers.map(byNumber).find(Boolean);
+    const unit = hit?.unitName || hit?.nutrient?.unitName || m.unit;
+    micros[m.key] = hit
+      ? convertAmount(Number(hit.amount || hit.value || 0), unit, m.unit)
+      : null;
+  }
+
   if ((food.dataType || "").toLowerCase() === "branded") {
     const label = food.labelNutrients || {};
     const servingSize = Number(food.servingSize || 0);
@@ -236,25 +558,44 @@ function extractPer100gFromFood(food) {
       const lpro = Number(label.protein?.value || 0) * factor;
       const lcar = Number(label.carbohydrates?.value || 0) * factor;
       const lfat = Number(label.fat?.value || 0) * factor;
+      // Label values are per serving, already in g or mg as in our keys
+      const lmicros = {};
+      for (const m of MICRONUTRIENTS) {
+        const v = label[m.label]?.value;
+        lmicros[m.key] =
+          v === undefined || v === null ? micros[m.key] : Number(v) * factor;
+      }
       return {
         calories: lcal || kcal,
         protein_g: lpro || protein,
         carbs_g: lcar || carbs,
         fat_g: lfat || fat,
+        ...lmicros,
       };
     }
   }
-  return { calories: kcal, protein_g: protein, carbs_g: carbs, fat_g: fat };
+  return {
+    calories: kcal,
+    protein_g: protein,
+    carbs_g: carbs,
+    fat_g: fat,
+    ...micros,
+  };
 }
 
-async function usdaPer100gByFdcId(fdcId) {
-  const key = `per100:${fdcId}`;
-  if (usdaCache.has(key)) return usdaCache.get(key);
+// Per-100g values plus household portions ({ unit, gramsPerUnit })
+async function usdaFoodDetail(fdcId) {
+  const key = `v${USDA_CACHE_VERSION}:food:${fdcId}`;
+  const cached = await usdaCache.get(key);
+  if (cached !== undefined) return cached;
   const url = `https://api.nal.usda.gov/fdc/v1/food/${fdcId}?api_key=${USDA_API_KEY}`; // singular "food"
   const json = await httpGetJson(url);
-  const per100 = extractPer100gFromFood(json);
-  usdaCache.set(key, per100);
-  return per100;
+  const detail = {
+    per100: extractPer100gFromFood(json),
+    portions: extractUsdaPortions(json),
+  };
+  await usdaCache.set(key, detail);
+  return detail;
 }
 
 function normalizeFoodName(name) {
@@ -263,75 +604,211 @@ function normalizeFoodName(name) {
     .trim();
 }
 
-const NUTRITION_FALLBACK_PER_100G = {
-  apple: { calories: 52, protein_g: 0.3, carbs_g: 14, fat_g: 0.2 },
-  banana: { calories: 89, protein_g: 1.1, carbs_g: 23, fat_g: 0.3 },
-  orange: { calories: 47, protein_g: 0.9, carbs_g: 12, fat_g: 0.1 },
-  rice: { calories: 130, protein_g: 2.4, carbs_g: 28, fat_g: 0.3 },
-  "chicken breast": { calories: 165, protein_g: 31, carbs_g: 0, fat_g: 3.6 },
-  egg: { calories: 155, protein_g: 13, carbs_g: 1.1, fat_g: 11 },
-  beef: { calories: 250, protein_g: 26, carbs_g: 0, fat_g: 15 },
-  fish: { calories: 206, protein_g: 22, carbs_g: 0, fat_g: 12 },
-  yogurt: { calories: 59, protein_g: 10, carbs_g: 3.6, fat_g: 0.4 },
-  milk: { calories: 61, protein_g: 3.2, carbs_g: 4.8, fat_g: 3.3 },
-  bread: { calories: 265, protein_g: 9, carbs_g: 49, fat_g: 3.2 },
-  fries: { calories: 312, protein_g: 3.4, carbs_g: 41, fat_g: 15 },
-  burger: { calories: 254, protein_g: 17, carbs_g: 30, fat_g: 9 },
-  sandwich: { calories: 250, protein_g: 12, carbs_g: 28, fat_g: 9 },
-  pizza: { calories: 266, protein_g: 11, carbs_g: 33, fat_g: 10 },
-  donut: { calories: 452, protein_g: 4.9, carbs_g: 51, fat_g: 25 },
-  cake: { calories: 350, protein_g: 4.0, carbs_g: 60, fat_g: 10 },
-
-  bowl: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-  cup: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-  fork: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-  knife: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-  spoon: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-  "dining table": { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
+// Per 100 g: calories, protein, carbs, fat, then fiber, sugars, saturated
+// fat (g) and sodium, cholesterol, calcium, iron, potassium (mg)
+const FALLBACK_ROWS = {
+  apple: [52, 0.3, 14, 0.2, 2.4, 10.4, 0, 1, 0, 6, 0.12, 107],
+  banana: [89, 1.1, 23, 0.3, 2.6, 12.2, 0.1, 1, 0, 5, 0.26, 358],
+  orange: [47, 0.9, 12, 0.1, 2.4, 9.4, 0, 0, 0, 40, 0.1, 181],
+  rice: [130, 2.4, 28, 0.3, 0.4, 0.1, 0.1, 1, 0, 10, 0.2, 35],
+  "chicken breast": [165, 31, 0, 3.6, 0, 0, 1, 74, 85, 15, 1.04, 256],
+  egg: [155, 13, 1.1, 11, 0, 1.1, 3.3, 124, 373, 50, 1.19, 126],
+  beef: [250, 26, 0, 15, 0, 0, 6, 72, 90, 18, 2.6, 318],
+  fish: [206, 22, 0, 12, 0, 0, 2.5, 61, 63, 15, 0.5, 384],
+  yogurt: [59, 10, 3.6, 0.4, 0, 3.2, 0.1, 36, 5, 110, 0.07, 141],
+  milk: [61, 3.2, 4.8, 3.3, 0, 5.1, 1.9, 43, 10, 113, 0.03, 143],
+  bread: [265, 9, 49, 3.2, 2.7, 5.7, 0.7, 491, 0, 151, 3.6, 115],
+  fries: [312, 3.4, 41, 15, 3.8, 0.3, 2.3, 210, 0, 18, 0.8, 579],
+  burger: [254, 17, 30, 9, 1.5, 5, 3.5, 450, 35, 70, 2.5, 250],
+  sandwich: [250, 12, 28, 9, 2, 4, 3, 600, 25, 80, 2, 200],
+  pizza: [266, 11, 33, 10, 2.3, 3.6, 4.5, 598, 17, 188, 2.5, 172],
+  donut: [452, 4.9, 51, 25, 1.7, 23, 11, 326, 19, 25, 1.9, 99],
+  cake: [350, 4.0, 60, 10, 1, 36, 3, 300, 50, 50, 1.5, 100],
+
+  bowl: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  cup: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  fork: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  knife: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  spoon: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  "dining table": [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
 };
-const DEFAULT_FALLBACK_KEY = "sandwich";
+const NUTRITION_FALLBACK_PER_100G = Object.fromEntries(
+  Object.entries(FALLBACK_ROWS).map(([name, values]) => [
+    name,
+    Object.fromEntries(NUTRIENT_KEYS.map((key, i) => [key, values[i]])),
+  ])
+);
+// Below this a local or custom match is not trusted and USDA is asked instead
+const FOOD_MATCH_MIN_SCORE = 0.8;
+// USDA descriptions are verbose, so their scores run lower; below this the
+// food is reported unknown. Only the best few hits are fetched in detail.
+const USDA_MATCH_MIN_SCORE = 0.6;
+const MAX_USDA_DETAIL_FETCHES = 3;
+const MAX_CUSTOM_FOODS_SCANNED = 500;
+
+function hasNutrients(per100) {
+  return (
+    (per100.calories || 0) +
+      (per100.protein_g || 0) +
+      (per100.carbs_g || 0) +
+      (per100.fat_g || 0) >
+    0
+  );
+}
 
-async function getPer100gForName(name) {
+async function loadCustomFoods(userId) {
+  const { data: rows, error } = await supabase
+    .from("custom_foods")
+    .select(["id", "name", ...NUTRIENT_KEYS].join(", "))
+    .eq("user_id", userId)
+    .order("updated_at", { ascending: false })
+    .limit(MAX_CUSTOM_FOODS_SCANNED);
+  if (error) {
+    console.error("Fetch custom foods error:", error);
+    return [];
+  }
+  return rows || [];
+}
+
+function customFoodPer100(row) {
+  return completeNutrients(row);
+}
+
+// Lookup order: the user's custom foods, the built-in table, then USDA.
+// Unknown foods come back with per100 = null rather than a stand-in.
+// Pass `customFoods` when resolving many names for the same user.
+async function getPer100gForName(
+  name,
+  { userId = null, customFoods = null } = {}
+) {
   const n = normalizeFoodName(name);
-  if (NUTRITION_FALLBACK_PER_100G[n]) {
+
+  const customs = customFoods || (userId ? await loadCustomFoods(userId) : []);
+  const [custom] = rankFoodMatches(
+    n,
+    customs.map((c) => c.name),
+    { minScore: FOOD_MATCH_MIN_SCORE }
+  );
+  if (custom) {
+    const row = customs.find((c) => c.name === custom.name);
     return {
-      per100: NUTRITION_FALLBACK_PER_100G[n],
-      source: "fallback",
-      meta: { description: n },
+      per100: customFoodPer100(row),
+      source: "custom",
+      confidence: custom.score,
+      match: custom.match,
+      meta: { description: row.name, customFoodId: row.id },
     };
   }
+
+  const [local] = rankFoodMatches(n, Object.keys(NUTRITION_FALLBACK_PER_100G), {
+    minScore: FOOD_MATCH_MIN_SCORE,
+  });
+  if (local)
+    return {
+      per100: NUTRITION_FALLBACK_PER_100G[local.name],
+      source: "fallback",
+      confidence: local.score,
+      match: local.match,
+      meta: { description: local.name },
+    };
+
   if (USDA_API_KEY) {
     try {
-      const search = await usdaSearchFoodByName(n);
-      if (search?.fdcId) {
-        const per100 = await usdaPer100gByFdcId(search.fdcId);
-        const sum =
-          (per100.calories || 0) +
-          (per100.protein_g || 0) +
-          (per100.carbs_g || 0) +
-          (per100.fat_g || 0);
-        if (sum > 0)
-          return {
-            per100,
-            source: "usda",
-            meta: {
-              fdcId: search.fdcId,
-              description: search.description,
-              dataType: search.dataType,
-            },
-          };
+      const hits = await usdaSearchFoods(n);
+      // Stable sort: equal scores keep the preferred data-type order
+      const ranked = hits
+        .map((h) => ({ hit: h, ...scoreFoodMatch(n, h.description) }))
+        .filter((r) => r.score >= USDA_MATCH_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_USDA_DETAIL_FETCHES);
+      for (const { hit, score, match } of ranked) {
+        const { per100, portions } = await usdaFoodDetail(hit.fdcId);
+        if (!hasNutrients(per100)) continue;
+        return {
+          per100,
+          portions,
+          source: "usda",
+          confidence: score,
+          match,
+          meta: {
+            fdcId: hit.fdcId,
+            description: hit.description,
+            dataType: hit.dataType,
+          },
+        };
       }
-    } catch {
-      // ignore and fallback
+    } catch (e) {
+      console.error("USDA lookup error:", e);
     }
   }
   return {
-    per100: NUTRITION_FALLBACK_PER_100G[DEFAULT_FALLBACK_KEY],
-    source: "fallback",
-    meta: { description: DEFAULT_FALLBACK_KEY },
+    per100: null,
+    source: "unknown",
+    confidence: 0,
+    match: "none",
+    meta: { description: n },
   };
 }
 
+// Scale per-100g values to each item's grams and sum them. Extra item fields
+// (e.g. a detection confidence) are carried through to the breakdown.
+// Unknown foods contribute nothing and are listed in `unmatched`; portions
+// whose unit cannot be converted, or that come to more than MAX_PORTION_G,
+// count as 0 g and are listed in `unresolved`.
+async function computeMealItems(items, { userId = null } = {}) {
+  const breakdown = [];
+  const unmatched = [];
+  const unresolved = [];
+  const customFoods = userId ? await loadCustomFoods(userId) : [];
+
+  for (const { name, grams: weighed, quantity, unit, ...extra } of items) {
+    const found = await getPer100gForName(name, { userId, customFoods });
+    const { per100, source, meta, confidence, match } = found;
+    if (!per100) unmatched.push(name);
+
+    let grams = weighed;
+    let conversion = { method: "grams" };
+    if (weighed === undefined) {
+      const portion = resolvePortion(
+        { quantity, unit },
+        {
+          usdaPortions: found.portions || [],
+          localKey: source === "fallback" ? meta.description : null,
+        }
+      );
+      grams = portion.error ? 0 : portion.grams;
+      conversion = portion.error ? null : portion.conversion;
+      if (portion.error)
+        unresolved.push({
+          name,
+          quantity,
+          unit: unit ?? null,
+          reason: portion.error,
+          ...(portion.grams !== undefined ? { grams: portion.grams } : {}),
+        });
+    }
+    const factor = (grams || 0) / 100;
+
+    const part = {
+      ...extra,
+      name: normalizeFoodName(meta?.description || name),
+      fdcId: meta?.fdcId || null,
+      dataType: meta?.dataType || null,
+      ...(meta?.customFoodId ? { customFoodId: meta.customFoodId } : {}),
+      ...(quantity !== undefined ? { quantity, unit: unit ?? null } : {}),
+      grams,
+      conversion,
+      ...scaleNutrients(per100, factor),
+      source,
+      matchConfidence: confidence,
+      match,
+    };
+    breakdown.push(part);
+  }
+
+  return { total: sumNutrients(breakdown), breakdown, unmatched, unresolved };
+}
+
 /* ----------------------- Reward signer + reward config ----------------------- */
 function isValidPk(pk) {
   return typeof pk === "string" && /^0x[0-9a-fA-F]{64}$/.test(pk.trim());
@@ -342,6 +819,43 @@ const REWARD_STEPS_PER_STPC = Math.max(
   1,
   Number(process.env.REWARD_STEPS_PER_STPC || 10)
 );
+// "eip712" (typed data) or "legacy" (packed keccak + signMessage) while the contract migrates
+const REWARD_VOUCHER_FORMAT =
+  (process.env.REWARD_VOUCHER_FORMAT || "eip712").trim().toLowerCase() ===
+  "legacy"
+    ? "legacy"
+    : "eip712";
+const REWARD_VOUCHER_TTL_SEC = Math.max(
+  60,
+  Number(process.env.REWARD_VOUCHER_TTL_SEC || 3600)
+);
+const REWARD_EIP712_DOMAIN = {
+  name: (process.env.REWARD_EIP712_NAME || "Walklet").trim(),
+  version: (process.env.REWARD_EIP712_VERSION || "1").trim(),
+  chainId: CHAIN_ID,
+  verifyingContract: STPC_CONTRACT_ADDRESS,
+};
+const REWARD_EIP712_TYPES = {
+  Reward: [
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+// Redemption reports are checked against the chain: the mint call must have
+// succeeded on the STPC contract with this voucher's recipient, amount and nonce
+const CHAIN_RPC_URL = (process.env.CHAIN_RPC_URL || "").trim();
+const REWARD_CLAIM_FUNCTION = (
+  process.env.REWARD_CLAIM_FUNCTION ||
+  "claim(address to, uint256 amount, uint256 nonce, uint256 deadline, bytes signature)"
+).trim();
+const chainProvider = CHAIN_RPC_URL
+  ? new JsonRpcProvider(CHAIN_RPC_URL, CHAIN_ID, { staticNetwork: true })
+  : null;
+const rewardClaimInterface = new Interface([
+  `function ${REWARD_CLAIM_FUNCTION}`,
+]);
 let rewardSigner = null;
 const rawPk = (process.env.REWARD_SIGNER_PRIVATE_KEY || "").trim();
 if (isValidPk(rawPk)) {
@@ -375,13 +889,22 @@ app.get("/health", (req, res) => {
   });
 });
 
-// Debug
-app.get("/debug/token", (req, res) => {
-  const email = String(req.query.email || "test@example.com");
-  const sub = String(req.query.sub || "debug-user");
+// Debug: a real session for an existing user, so the token can be revoked
+app.get("/debug/token", devGuard, async (req, res) => {
+  const email = String(req.query.email || "")
+    .trim()
+    .toLowerCase();
+  if (!email) return res.status(400).json({ error: "email is required" });
   try {
-    const token = createToken({ id: sub, email });
-    return res.json({ token });
+    const { data: user, error } = await supabase
+      .from("users")
+      .select("id, email")
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw new Error("User lookup failed");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const tokens = await issueSession(user, req);
+    return res.json(tokens);
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
@@ -396,10 +919,7 @@ app.post("/debug/create-wallet", authMiddleware, async (req, res) => {
       .from("users")
       .update({
         wallet_address: w.address,
-        wallet_encrypted: w.ciphertext,
-        wallet_iv: w.iv,
-        wallet_tag: w.tag,
-        wallet_alg: w.alg,
+        ...walletRowFields(w),
         wallet_created_at: new Date().toISOString(),
       })
       .eq("id", req.user.sub)
@@ -419,7 +939,7 @@ app.post("/debug/create-wallet", authMiddleware, async (req, res) => {
 });
 
 // Auth: signup
-app.post("/auth/signup", async (req, res) => {
+app.post("/auth/signup", limits.signup, async (req, res) => {
   const parsed = signupSchema.safeParse(req.body);
   if (!parsed.success)
     return res
@@ -457,10 +977,7 @@ app.post("/auth/signup", async (req, res) => {
         .from("users")
         .update({
           wallet_address: w.address,
-          wallet_encrypted: w.ciphertext,
-          wallet_iv: w.iv,
-          wallet_tag: w.tag,
-          wallet_alg: w.alg,
+          ...walletRowFields(w),
           wallet_created_at: new Date().toISOString(),
         })
         .eq("id", user.id)
@@ -471,8 +988,8 @@ app.post("/auth/signup", async (req, res) => {
       console.error("Wallet creation error:", e);
     }
 
-    const token = createToken({ id: updatedUser.id, email: updatedUser.email });
-    return res.status(201).json({ token, user: mapUserRow(updatedUser) });
+    const tokens = await issueSession(updatedUser, req);
+    return res.status(201).json({ ...tokens, user: mapUserRow(updatedUser) });
   } catch (e) {
     console.error("Signup error:", e);
     return res.status(500).json({ error: "Signup failed" });
@@ -480,42 +997,53 @@ app.post("/auth/signup", async (req, res) => {
 });
 
 // Auth: login
-app.post("/auth/login", async (req, res) => {
-  const parsed = loginSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res
-      .status(400)
-      .json({ error: "Invalid input", details: parsed.error.flatten() });
+app.post(
+  "/auth/login",
+  limits.login,
+  loginGuard.middleware(),
+  async (req, res) => {
+    const parsed = loginSchema.safeParse(req.body);
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
 
-  try {
-    const email = parsed.data.email.trim().toLowerCase();
-    const password = parsed.data.password;
+    try {
+      const email = parsed.data.email.trim().toLowerCase();
+      const password = parsed.data.password;
 
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
-    if (error || !user)
-      return res.status(401).json({ error: "Invalid credentials" });
-    if (!user.password_hash)
-      return res
-        .status(401)
-        .json({ error: "Use Google Sign-In for this account" });
+      const { data: user, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("email", email)
+        .single();
+      if (error || !user) {
+        await loginGuard.recordFailure(req.ip, email);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      if (!user.password_hash)
+        return res
+          .status(401)
+          .json({ error: "Use Google Sign-In for this account" });
 
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+      const ok = await bcrypt.compare(password, user.password_hash);
+      if (!ok) {
+        await loginGuard.recordFailure(req.ip, email);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      await loginGuard.recordSuccess(req.ip, email);
 
-    const token = createToken({ id: user.id, email: user.email });
-    return res.status(200).json({ token, user: mapUserRow(user) });
-  } catch (e) {
-    console.error("Login error:", e);
-    return res.status(500).json({ error: "Login failed" });
+      const tokens = await issueSession(user, req);
+      return res.status(200).json({ ...tokens, user: mapUserRow(user) });
+    } catch (e) {
+      console.error("Login error:", e);
+      return res.status(500).json({ error: "Login failed" });
+    }
   }
-});
+);
 
 // Auth: Google (optional; safe to ignore if no key)
-app.post("/auth/google", async (req, res) => {
+app.post("/auth/google", limits.google, async (req, res) => {
   try {
     if (!googleClient)
       return res.status(500).json({ error: "Google client not configured" });
@@ -562,10 +1090,7 @@ app.post("/auth/google", async (req, res) => {
           .from("users")
           .update({
             wallet_address: w.address,
-            wallet_encrypted: w.ciphertext,
-            wallet_iv: w.iv,
-            wallet_tag: w.tag,
-            wallet_alg: w.alg,
+            ...walletRowFields(w),
             wallet_created_at: new Date().toISOString(),
           })
           .eq("id", user.id)
@@ -577,14 +1102,89 @@ app.post("/auth/google", async (req, res) => {
       }
     }
 
-    const token = createToken({ id: user.id, email: user.email });
-    return res.status(200).json({ token, user: mapUserRow(user) });
+    const tokens = await issueSession(user, req);
+    return res.status(200).json({ ...tokens, user: mapUserRow(user) });
   } catch (e) {
     console.error("Google auth error:", e);
     return res.status(500).json({ error: "Google auth failed" });
   }
 });
 
+// Auth: rotate refresh token
+const refreshSchema = z.object({ refreshToken: z.string().min(20) });
+app.post("/auth/refresh", limits.refresh, async (req, res) => {
+  const parsed = refreshSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res.status(400).json({ error: "Invalid refresh token" });
+
+  try {
+    const result = await rotateRefreshToken(parsed.data.refreshToken);
+    if (result.error)
+      return res.status(result.status).json({ error: result.error });
+    return res.status(200).json(result);
+  } catch (e) {
+    console.error("Refresh error:", e);
+    return res.status(500).json({ error: "Refresh failed" });
+  }
+});
+
+// Auth: logout (this device, or every device with { all: true })
+app.post("/auth/logout", authMiddleware, async (req, res) => {
+  try {
+    if (req.body?.all === true) {
+      await revokeAllSessions(req.user.sub, "logout_all");
+    } else if (req.user.sid) {
+      await revokeSession(req.user.sid, "logout");
+    }
+    return res.status(200).json({ ok: true });
+  } catch (e) {
+    console.error("Logout error:", e);
+    return res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+// Auth: active sessions per device
+app.get("/auth/sessions", authMiddleware, async (req, res) => {
+  try {
+    const rows = await listSessions(req.user.sub);
+    const items = rows.map((r) => ({
+      id: r.id,
+      deviceName: r.device_name ?? null,
+      userAgent: r.user_agent ?? null,
+      ip: r.ip ?? null,
+      createdAt: r.created_at,
+      lastUsedAt: r.last_used_at,
+      current: r.id === req.user.sid,
+    }));
+    return res.status(200).json({ items, count: items.length });
+  } catch (e) {
+    console.error("List sessions error:", e);
+    return res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+app.delete("/auth/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const { data: rows, error } = await supabase
+      .from("auth_sessions")
+      .select("id,user_id")
+      .eq("id", id)
+      .limit(1);
+    if (error) return res.status(500).json({ error: "Lookup failed" });
+    if (!rows || rows.length === 0)
+      return res.status(404).json({ error: "Session not found" });
+    if (rows[0].user_id !== req.user.sub)
+      return res.status(403).json({ error: "Not your session" });
+
+    await revokeSession(id, "revoked_by_user");
+    return res.status(200).json({ ok: true, id });
+  } catch (e) {
+    console.error("Revoke session error:", e);
+    return res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
 // Auth: set password for Google-created accounts
 const setPwdSchema = z.object({ newPassword: z.string().min(8) });
 app.post("/auth/set-password", authMiddleware, async (req, res) => {
@@ -605,7 +1205,7 @@ app.post("/auth/set-password", authMiddleware, async (req, res) => {
     if (user.password_hash && user.password_hash.length > 0)
       return res
         .status(409)
-        .json({ error: "Password already set. Use a password change flow." });
+        .json({ error: "Password already set. Use /auth/change-password." });
 
     const passwordHash = await bcrypt.hash(parsed.data.newPassword, 10);
     const { error: upErr } = await supabase
@@ -620,6 +1220,171 @@ app.post("/auth/set-password", authMiddleware, async (req, res) => {
   }
 });
 
+// Auth: change password (signed in, knows the current one)
+const changePwdSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(8),
+});
+app.post(
+  "/auth/change-password",
+  authMiddleware,
+  limits.sensitive,
+  async (req, res) => {
+    const parsed = changePwdSchema.safeParse(req.body);
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+    try {
+      const { data: user, error } = await supabase
+        .from("users")
+        .select("id,password_hash")
+        .eq("id", req.user.sub)
+        .single();
+      if (error || !user)
+        return res.status(404).json({ error: "User not found" });
+      if (!user.password_hash)
+        return res
+          .status(409)
+          .json({ error: "No password set. Use /auth/set-password." });
+
+      const ok = await bcrypt.compare(
+        parsed.data.currentPassword,
+        user.password_hash
+      );
+      if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+
+      const passwordHash = await bcrypt.hash(parsed.data.newPassword, 10);
+      const { error: upErr } = await supabase
+        .from("users")
+        .update({ password_hash: passwordHash })
+        .eq("id", user.id);
+      if (upErr)
+        return res.status(500).json({ error: "Failed to change password" });
+
+      // Keep this device signed in, drop the rest
+      await revokeAllSessions(user.id, "password_change", {
+        exceptId: req.user.sid,
+      });
+      return res.status(200).json({ ok: true });
+    } catch (e) {
+      console.error("Change password error:", e);
+      return res.status(500).json({ error: "Failed to change password" });
+    }
+  }
+);
+
+// Auth: forgotten password (single-use, expiring, hashed reset tokens)
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+const APP_URL = (process.env.APP_URL || "http://localhost:3000").trim();
+
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+const forgotPwdSchema = z.object({ email: z.string().trim().email() });
+app.post("/auth/forgot-password", limits.passwordReset, async (req, res) => {
+  const parsed = forgotPwdSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  // Same response whether or not the account exists
+  const reply = () =>
+    res.status(200).json({
+      ok: true,
+      message: "If that account exists, a reset link has been sent.",
+    });
+
+  try {
+    const email = parsed.data.email.toLowerCase();
+    const { data: user } = await supabase
+      .from("users")
+      .select("id,email")
+      .eq("email", email)
+      .single();
+    if (!user) return reply();
+
+    // Only the newest link works
+    await supabase
+      .from("password_reset_tokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", user.id)
+      .is("used_at", null);
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+    const { error } = await supabase.from("password_reset_tokens").insert([
+      {
+        user_id: user.id,
+        token_hash: hashResetToken(token),
+        expires_at: expiresAt,
+      },
+    ]);
+    if (error) {
+      console.error("Insert reset token error:", error);
+      return reply();
+    }
+
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Walklet password",
+      text: `Use this link to reset your password. It expires in 30 minutes and works once.\n\n${link}\n\nIf you did not ask for this, ignore this email.`,
+    });
+    return reply();
+  } catch (e) {
+    console.error("Forgot password error:", e);
+    return reply();
+  }
+});
+
+const resetPwdSchema = z.object({
+  token: z.string().min(20),
+  newPassword: z.string().min(8),
+});
+app.post("/auth/reset-password", limits.passwordReset, async (req, res) => {
+  const parsed = resetPwdSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    // Consume in one statement so a token cannot be used twice
+    const { data: rows, error } = await supabase
+      .from("password_reset_tokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("token_hash", hashResetToken(parsed.data.token))
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select("user_id");
+    if (error) {
+      console.error("Consume reset token error:", error);
+      return res.status(500).json({ error: "Failed to reset password" });
+    }
+    if (!rows || rows.length === 0)
+      return res.status(400).json({ error: "Invalid or expired reset link" });
+
+    const userId = rows[0].user_id;
+    const passwordHash = await bcrypt.hash(parsed.data.newPassword, 10);
+    const { error: upErr } = await supabase
+      .from("users")
+      .update({ password_hash: passwordHash })
+      .eq("id", userId);
+    if (upErr)
+      return res.status(500).json({ error: "Failed to reset password" });
+
+    await revokeAllSessions(userId, "password_reset");
+    return res.status(200).json({ ok: true });
+  } catch (e) {
+    console.error("Reset password error:", e);
+    return res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
 // Me
 app.get("/me", authMiddleware, async (req, res) => {
   try {
@@ -649,6 +1414,7 @@ app.post("/profile", authMiddleware, async (req, res) => {
   const { age = null, weightKg = null, heightCm = null } = parsed.data;
 
   try {
+    const previousWeightKg = await loadWeightKg(req.user.sub);
     const { data: user, error } = await supabase
       .from("users")
       .update({ username, age, weight_kg: weightKg, height_cm: heightCm })
@@ -667,6 +1433,15 @@ app.post("/profile", authMiddleware, async (req, res) => {
       return res.status(500).json({ error: "Profile update failed" });
     }
 
+    // Walk kcal estimates depend on weight
+    if (Number(previousWeightKg ?? 0) !== Number(weightKg ?? 0)) {
+      try {
+        await recomputeWalkEnergy(req.user.sub, weightKg);
+      } catch (e) {
+        console.error("Walk energy recompute error:", e);
+      }
+    }
+
     return res.status(200).json({ user: mapUserRow(user) });
   } catch (e) {
     console.error("Profile error:", e);
@@ -694,6 +1469,7 @@ app.post("/profile/goal", authMiddleware, async (req, res) => {
       console.error("Update goal error:", error);
       return res.status(500).json({ error: "Failed to update goal" });
     }
+    await syncAchievements(req.user.sub);
     return res
       .status(200)
       .json({ ok: true, dailyStepGoal: Number(user.daily_step_goal) });
@@ -703,54 +1479,573 @@ app.post("/profile/goal", authMiddleware, async (req, res) => {
   }
 });
 
-/* ------------------------------- Walk routes ------------------------------ */
-app.post("/walks", authMiddleware, async (req, res) => {
-  const parsed = walkSchema.safeParse(req.body);
+// Profile: IANA time zone used for every local-day window.
+// Changes are throttled so the "day" cannot be shifted to dodge daily quotas.
+const TIMEZONE_CHANGE_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const timezoneSchema = z.object({
+  timezone: z
+    .string()
+    .trim()
+    .refine(isValidTimeZone, "Unknown IANA time zone (e.g. Europe/London)"),
+});
+app.post("/profile/timezone", authMiddleware, async (req, res) => {
+  const parsed = timezoneSchema.safeParse(req.body);
   if (!parsed.success)
     return res
       .status(400)
       .json({ error: "Invalid input", details: parsed.error.flatten() });
 
   try {
-    const { startedAt, endedAt, durationSec, distanceM, steps } = parsed.data;
-    const { data: row, error } = await supabase
-      .from("walk_sessions")
-      .insert([
-        {
-          user_id: req.user.sub,
-          started_at: new Date(startedAt).toISOString(),
-          ended_at: new Date(endedAt).toISOString(),
-          duration_sec: durationSec,
-          distance_m: distanceM,
-          steps,
-        },
-      ])
+    const { timezone } = parsed.data;
+    const { data: current, error: selErr } = await supabase
+      .from("users")
+      .select("timezone, timezone_changed_at")
+      .eq("id", req.user.sub)
+      .single();
+    if (selErr || !current)
+      return res.status(404).json({ error: "User not found" });
+    if (current.timezone === timezone)
+      return res.status(200).json({ ok: true, timezone });
+
+    // First time setting a zone is always allowed
+    if (current.timezone && current.timezone_changed_at) {
+      const waitMs =
+        Date.parse(current.timezone_changed_at) +
+        TIMEZONE_CHANGE_COOLDOWN_MS -
+        Date.now();
+      if (waitMs > 0) {
+        res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({
+          error: "Time zone can only be changed once every 24 hours",
+        });
+      }
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({ timezone, timezone_changed_at: new Date().toISOString() })
+      .eq("id", req.user.sub)
       .select("*")
       .single();
+    if (error) {
+      console.error("Update timezone error:", error);
+      return res.status(500).json({ error: "Failed to update time zone" });
+    }
+    return res.status(200).json({ ok: true, timezone: user.timezone });
+  } catch (e) {
+    console.error("Timezone route error:", e);
+    return res.status(500).json({ error: "Failed to update time zone" });
+  }
+});
+
+/* ------------------------------- Walk routes ------------------------------ */
+// Only accepted walks count toward steps, goals, kcal and badges. Flagged
+// walks wait for review and rejected ones never count; both stay listed.
+const COUNTED_WALK_STATUS = "accepted";
+
+// Run plausibility checks against the user's profile and existing sessions.
+// excludeId skips the session itself when re-checking an edited walk.
+async function assessWalk(
+  userId,
+  walk,
+  { excludeId = null, route = null } = {}
+) {
+  const startIso = new Date(walk.startedAt).toISOString();
+  const endIso = new Date(walk.endedAt).toISOString();
+
+  const { data: user, error: userErr } = await supabase
+    .from("users")
+    .select("height_cm, timezone")
+    .eq("id", userId)
+    .single();
+  if (userErr) throw new Error("User lookup failed");
+  const tz = resolveTz(user?.timezone, 0);
+  const day = localDayWindow(tz, localDateKey(Date.parse(startIso), tz));
+
+  let overlapQ = supabase
+    .from("walk_sessions")
+    .select("id")
+    .eq("user_id", userId)
+    .neq("validation_status", "rejected")
+    .lt("started_at", endIso)
+    .gt("ended_at", startIso);
+  let dayQ = supabase
+    .from("walk_sessions")
+    .select("steps")
+    .eq("user_id", userId)
+    .neq("validation_status", "rejected")
+    .gte("started_at", day.startUtc)
+    .lt("started_at", day.endUtc);
+  if (excludeId) {
+    overlapQ = overlapQ.neq("id", excludeId);
+    dayQ = dayQ.neq("id", excludeId);
+  }
+  const [overlapRes, dayRes] = await Promise.all([overlapQ, dayQ]);
+  if (overlapRes.error || dayRes.error)
+    throw new Error("Walk validation lookup failed");
+
+  return evaluateWalk(walk, {
+    heightCm: user?.height_cm ?? null,
+    track: route
+      ? {
+          distanceM: route.distanceM,
+          startMs: route.startMs,
+          endMs: route.endMs,
+        }
+      : null,
+    overlapping: overlapRes.data || [],
+    dailyStepsBefore: (dayRes.data || []).reduce(
+      (sum, r) => sum + Number(r.steps || 0),
+      0
+    ),
+  });
+}
+
+// Sort, measure and simplify a GPS track before it is stored
+const ROUTE_SIMPLIFY_TOLERANCE_M = 5;
+function prepareRoute(points) {
+  const sorted = points
+    .map((p) => ({ ...p, t: new Date(p.t).toISOString() }))
+    .sort((a, b) => Date.parse(a.t) - Date.parse(b.t));
+  const simplified = simplifyTrack(sorted, ROUTE_SIMPLIFY_TOLERANCE_M);
+  return {
+    distanceM: trackDistanceM(sorted),
+    startMs: Date.parse(sorted[0].t),
+    endMs: Date.parse(sorted[sorted.length - 1].t),
+    rawPointCount: sorted.length,
+    points: simplified,
+    polyline: encodePolyline(simplified),
+    bbox: trackBounds(simplified),
+  };
+}
+
+async function saveWalkRoute(walkId, userId, route, source) {
+  const { error } = await supabase.from("walk_routes").upsert([
+    {
+      walk_session_id: walkId,
+      user_id: userId,
+      source,
+      distance_m: Number(route.distanceM.toFixed(2)),
+      raw_point_count: route.rawPointCount,
+      point_count: route.points.length,
+      polyline: route.polyline,
+      points: route.points,
+      bbox: route.bbox,
+    },
+  ]);
+  if (error) throw new Error("Route insert failed");
+}
+
+function validationFields(check) {
+  return {
+    validation_status: check.status,
+    validation_reasons: check.reasons,
+    validation_metrics: check.metrics,
+    reviewed_at: null,
+    reviewed_by: null,
+  };
+}
+
+// Stored kcal estimate; method + inputs let it be recomputed later
+async function loadWeightKg(userId) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("weight_kg")
+    .eq("id", userId)
+    .single();
+  if (error) throw new Error("User lookup failed");
+  return data?.weight_kg ?? null;
+}
+
+function energyFields(walk, weightKg) {
+  const est = estimateWalkKcal(walk, { weightKg });
+  return {
+    kcal_active: est.kcal,
+    kcal_method: est.method,
+    kcal_inputs: est.inputs,
+  };
+}
+
+// Rows written before kcal was stored get an on-the-fly estimate
+function walkKcal(row, weightKg) {
+  if (row.kcal_active !== null && row.kcal_active !== undefined)
+    return Number(row.kcal_active);
+  return estimateWalkKcal(
+    {
+      durationSec: row.duration_sec,
+      distanceM: row.distance_m,
+      steps: row.steps,
+    },
+    { weightKg }
+  ).kcal;
+}
+
+// Re-run the estimate for walks computed with a different weight or method.
+// Rows are read in pages and written back in bulk, one statement per chunk.
+const WALK_ENERGY_CHUNK = 500;
+async function recomputeWalkEnergy(userId, weightKg) {
+  const { data: rows, error } = await selectAllRows(() =>
+    supabase
+      .from("walk_sessions")
+      .select("id, duration_sec, distance_m, steps, kcal_inputs")
+      .eq("user_id", userId)
+      .order("id", { ascending: true })
+  );
+  if (error) throw new Error("Fetch walks failed");
+
+  const changes = [];
+  for (const r of rows) {
+    const fields = energyFields(
+      {
+        durationSec: r.duration_sec,
+        distanceM: r.distance_m,
+        steps: r.steps,
+      },
+      weightKg
+    );
+    const prev = r.kcal_inputs || {};
+    if (
+      prev.version === fields.kcal_inputs.version &&
+      prev.weightKg === fields.kcal_inputs.weightKg
+    )
+      continue;
+    changes.push({ id: r.id, ...fields });
+  }
+
+  let updated = 0;
+  for (let i = 0; i < changes.length; i += WALK_ENERGY_CHUNK) {
+    const { data, error: upErr } = await supabase.rpc("update_walk_energy", {
+      p_user_id: userId,
+      p_rows: changes.slice(i, i + WALK_ENERGY_CHUNK),
+    });
+    if (upErr) throw new Error("Walk energy update failed");
+    updated += Number(data || 0);
+  }
+  return updated;
+}
 
+// Validate, insert and attach the route for one walk. With a clientId the
+// insert is an upsert on (user_id, client_id), so replays are no-ops.
+async function createWalk(
+  userId,
+  walk,
+  { route = null, source = "json" } = {}
+) {
+  const [check, weightKg] = await Promise.all([
+    assessWalk(userId, walk, { route }),
+    loadWeightKg(userId),
+  ]);
+  const record = {
+    user_id: userId,
+    client_id: walk.clientId ?? null,
+    started_at: new Date(walk.startedAt).toISOString(),
+    ended_at: new Date(walk.endedAt).toISOString(),
+    duration_sec: walk.durationSec,
+    distance_m: walk.distanceM,
+    steps: walk.steps,
+    ...validationFields(check),
+    ...energyFields(walk, weightKg),
+  };
+
+  let row;
+  if (record.client_id) {
+    const { data, error } = await supabase
+      .from("walk_sessions")
+      .upsert([record], {
+        onConflict: "user_id,client_id",
+        ignoreDuplicates: true,
+      })
+      .select("*");
+    if (error) throw new Error(`Insert walk failed: ${error.message}`);
+    row = data?.[0];
+    if (!row) return { duplicate: true };
+  } else {
+    const { data, error } = await supabase
+      .from("walk_sessions")
+      .insert([record])
+      .select("*")
+      .single();
     if (error) {
-      if (String(error.code) === "23505")
-        return res.status(200).json({ ok: true, duplicate: true });
-      console.error("Insert walk error:", error);
-      return res.status(500).json({ error: "Failed to save walk" });
+      if (String(error.code) === "23505") return { duplicate: true };
+      throw new Error(`Insert walk failed: ${error.message}`);
+    }
+    row = data;
+  }
+
+  if (route) {
+    try {
+      await saveWalkRoute(row.id, userId, route, source);
+    } catch (e) {
+      // Don't leave a routeless walk behind; a retry (or replay with the
+      // same clientId) then starts clean
+      const { error } = await supabase
+        .from("walk_sessions")
+        .delete()
+        .eq("id", row.id);
+      if (error) console.error("Walk cleanup after route error:", error);
+      throw e;
     }
+  }
+  return { row, check, route };
+}
+
+function walkCreatedBody({ row, check, route }) {
+  return {
+    walk: row,
+    validation: { status: check.status, reasons: check.reasons },
+    route: route
+      ? {
+          distanceM: Number(route.distanceM.toFixed(2)),
+          pointCount: route.points.length,
+        }
+      : null,
+  };
+}
+
+app.post("/walks", authMiddleware, trackJsonBody, async (req, res) => {
+  const parsed = walkSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
 
-    return res.status(201).json({ walk: row });
+  try {
+    const { track } = parsed.data;
+    const route = track ? prepareRoute(track) : null;
+    const result = await createWalk(req.user.sub, parsed.data, { route });
+    if (result.duplicate)
+      return res.status(200).json({ ok: true, duplicate: true });
+    const newAchievements = await syncAchievements(req.user.sub);
+    return res
+      .status(201)
+      .json({ ...walkCreatedBody(result), newAchievements });
   } catch (e) {
     console.error("Walk insert error:", e);
     return res.status(500).json({ error: "Failed to save walk" });
   }
 });
 
+// Offline sync: replay up to MAX_WALK_BATCH sessions, each with its own
+// client UUID, and report what happened to every item.
+const MAX_WALK_BATCH = 100;
+const walkBatchSchema = z.object({
+  walks: z.array(z.unknown()).min(1).max(MAX_WALK_BATCH),
+});
+
+app.post("/walks/batch", authMiddleware, trackJsonBody, async (req, res) => {
+  const parsed = walkBatchSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const userId = req.user.sub;
+    const results = [];
+    const seen = new Set();
+    const valid = [];
+    parsed.data.walks.forEach((raw, index) => {
+      const item = walkBatchItemSchema.safeParse(raw);
+      if (item.success) return valid.push({ index, walk: item.data });
+      const clientId = raw?.clientId;
+      results.push({
+        index,
+        clientId: typeof clientId === "string" ? clientId : null,
+        status: "invalid",
+        details: item.error.flatten(),
+      });
+    });
+    // Oldest first, so overlap and daily-total checks see earlier items
+    valid.sort(
+      (a, b) => Date.parse(a.walk.startedAt) - Date.parse(b.walk.startedAt)
+    );
+
+    for (const { index, walk } of valid) {
+      const { clientId } = walk;
+      if (seen.has(clientId)) {
+        results.push({ index, clientId, status: "duplicate" });
+        continue;
+      }
+      seen.add(clientId);
+
+      try {
+        const route = walk.track ? prepareRoute(walk.track) : null;
+        const result = await createWalk(userId, walk, { route });
+        if (result.duplicate) {
+          results.push({ index, clientId, status: "duplicate" });
+        } else {
+          results.push({
+            index,
+            clientId,
+            status: "created",
+            id: result.row.id,
+            validation: {
+              status: result.check.status,
+              reasons: result.check.reasons,
+            },
+          });
+        }
+      } catch (e) {
+        console.error("Batch walk insert error:", e);
+        results.push({ index, clientId, status: "error" });
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const counts = { created: 0, duplicate: 0, invalid: 0, error: 0 };
+    for (const r of results) counts[r.status] += 1;
+    const newAchievements =
+      counts.created > 0 ? await syncAchievements(userId) : [];
+    return res.status(200).json({ results, counts, newAchievements });
+  } catch (e) {
+    console.error("Walk batch error:", e);
+    return res.status(500).json({ error: "Failed to sync walks" });
+  }
+});
+
+// Upload a GPX/TCX file; times and distance come from the track itself
+const walkUploadSchema = z.object({
+  steps: z.coerce.number().int().min(0).default(0),
+  distanceM: z.coerce.number().min(0).optional(),
+});
+
+app.post(
+  "/walks/upload",
+  authMiddleware,
+  upload.single("file"),
+  async (req, res) => {
+    const parsed = walkUploadSchema.safeParse(req.body || {});
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ error: "Missing track file (field: file)" });
+
+    try {
+      let parsedFile;
+      try {
+        parsedFile = parseTrackFile(req.file.buffer.toString("utf8"));
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      const points = z
+        .array(trackPointSchema)
+        .min(2)
+        .max(MAX_TRACK_POINTS)
+        .safeParse(parsedFile.points);
+      if (!points.success)
+        return res.status(400).json({
+          error:
+            "Track needs at least 2 timestamped points with valid coordinates",
+          details: points.error.flatten(),
+        });
+
+      const route = prepareRoute(points.data);
+      const walk = {
+        startedAt: new Date(route.startMs).toISOString(),
+        endedAt: new Date(route.endMs).toISOString(),
+        durationSec: Math.round((route.endMs - route.startMs) / 1000),
+        distanceM: parsed.data.distanceM ?? Number(route.distanceM.toFixed(2)),
+        steps: parsed.data.steps,
+      };
+      const result = await createWalk(req.user.sub, walk, {
+        route,
+        source: parsedFile.format,
+      });
+      if (result.duplicate)
+        return res.status(200).json({ ok: true, duplicate: true });
+      const body = walkCreatedBody(result);
+      const newAchievements = await syncAchievements(req.user.sub);
+      return res.status(201).json({
+        ...body,
+        route: { ...body.route, format: parsedFile.format },
+        newAchievements,
+      });
+    } catch (e) {
+      console.error("Walk upload error:", e);
+      return res.status(500).json({ error: "Failed to save walk" });
+    }
+  }
+);
+
+async function loadOwnedRoute(userId, walkId) {
+  const { data: rows, error } = await supabase
+    .from("walk_routes")
+    .select("*, walk_sessions(id, user_id, started_at, ended_at, steps)")
+    .eq("walk_session_id", walkId)
+    .limit(1);
+  if (error) throw new Error("Route lookup failed");
+  const row = rows?.[0];
+  if (!row) return { status: 404, error: "No route for this walk" };
+  if (row.walk_sessions?.user_id !== userId)
+    return { status: 403, error: "Not your walk" };
+  return { row };
+}
+
+app.get("/walks/:id/route", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadOwnedRoute(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const r = found.row;
+    return res.status(200).json(
+      toGeoJsonLine(r.points || [], {
+        walkId: r.walk_session_id,
+        startedAt: r.walk_sessions.started_at,
+        endedAt: r.walk_sessions.ended_at,
+        distanceM: Number(r.distance_m || 0),
+        polyline: r.polyline,
+        pointCount: r.point_count,
+        rawPointCount: r.raw_point_count,
+        bbox: r.bbox,
+      })
+    );
+  } catch (e) {
+    console.error("Walk route error:", e);
+    return res.status(500).json({ error: "Failed to fetch route" });
+  }
+});
+
+app.get("/walks/:id/export.gpx", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadOwnedRoute(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const r = found.row;
+    const gpx = toGpx(r.points || [], {
+      name: `Walk ${r.walk_sessions.started_at}`,
+    });
+    res.set("Content-Type", "application/gpx+xml; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="walk-${r.walk_session_id}.gpx"`
+    );
+    return res.status(200).send(gpx);
+  } catch (e) {
+    console.error("Walk GPX export error:", e);
+    return res.status(500).json({ error: "Failed to export route" });
+  }
+});
+
 app.get("/walks/today", authMiddleware, async (req, res) => {
   try {
-    const { tzOffsetMin = 0 } = tzSchema.parse(req.query);
-    const { startUtc, endUtc } = localWindowUtc(tzOffsetMin);
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+    const { startUtc, endUtc } = localDayWindow(tz);
 
     const { data: rows, error } = await supabase
       .from("walk_sessions")
-      .select("steps, distance_m")
+      .select("steps, distance_m, duration_sec, kcal_active")
       .eq("user_id", req.user.sub)
+      .eq("validation_status", COUNTED_WALK_STATUS)
       .gte("started_at", startUtc)
       .lt("started_at", endUtc);
 
@@ -759,18 +2054,25 @@ app.get("/walks/today", authMiddleware, async (req, res) => {
       return res.status(500).json({ error: "Failed to fetch today walks" });
     }
 
+    const weightKg = (rows || []).some((r) => r.kcal_active === null)
+      ? await loadWeightKg(req.user.sub)
+      : null;
+
     let stepsToday = 0;
     let distanceM = 0;
+    let kcalBurned = 0;
     for (const r of rows || []) {
       stepsToday += Number(r.steps || 0);
       distanceM += Number(r.distance_m || 0);
+      kcalBurned += walkKcal(r, weightKg);
     }
 
     return res.status(200).json({
       stepsToday,
       distanceM: Number(distanceM.toFixed(2)),
+      kcalBurned: Math.round(kcalBurned),
       sessionCount: rows?.length || 0,
-      window: { startUtc, endUtc, tzOffsetMin },
+      window: { startUtc, endUtc, ...describeTz(tz) },
     });
   } catch (e) {
     console.error("Today walks error:", e);
@@ -780,12 +2082,20 @@ app.get("/walks/today", authMiddleware, async (req, res) => {
 
 app.get("/walks/list", authMiddleware, async (req, res) => {
   try {
-    const { tzOffsetMin = 0 } = tzSchema.parse(req.query);
-    const { startUtc, endUtc } = localWindowUtc(tzOffsetMin);
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+    const { startUtc, endUtc } = localDayWindow(tz);
 
     const { data: rows, error } = await supabase
       .from("walk_sessions")
-      .select("id, started_at, ended_at, duration_sec, distance_m, steps")
+      .select(
+        "id, started_at, ended_at, duration_sec, distance_m, steps, validation_status, validation_reasons, kcal_active, kcal_method"
+      )
       .eq("user_id", req.user.sub)
       .gte("started_at", startUtc)
       .lt("started_at", endUtc)
@@ -796,6 +2106,9 @@ app.get("/walks/list", authMiddleware, async (req, res) => {
       return res.status(500).json({ error: "Failed to fetch today walk list" });
     }
 
+    const weightKg = (rows || []).some((r) => r.kcal_active === null)
+      ? await loadWeightKg(req.user.sub)
+      : null;
     const items = (rows || []).map((r) => ({
       id: r.id,
       startedAt: r.started_at,
@@ -803,12 +2116,21 @@ app.get("/walks/list", authMiddleware, async (req, res) => {
       durationSec: r.duration_sec,
       distanceM: Number(r.distance_m || 0),
       steps: Number(r.steps || 0),
+      kcal: walkKcal(r, weightKg),
+      kcalMethod: r.kcal_method ?? null,
+      validationStatus: r.validation_status ?? "accepted",
+      validationReasons: r.validation_reasons ?? [],
     }));
 
     return res.status(200).json({
       items,
       count: items.length,
-      window: { startUtc, endUtc, tzOffsetMin },
+      kcalBurned: Math.round(
+        items
+          .filter((i) => i.validationStatus === COUNTED_WALK_STATUS)
+          .reduce((sum, i) => sum + i.kcal, 0)
+      ),
+      window: { startUtc, endUtc, ...describeTz(tz) },
     });
   } catch (e) {
     console.error("Today walk list error:", e);
@@ -816,200 +2138,1921 @@ app.get("/walks/list", authMiddleware, async (req, res) => {
   }
 });
 
-// Dev delete a walk
-app.delete("/dev/walk/:id", authMiddleware, devGuard, async (req, res) => {
+// Totals per local day/week/month, zero-filled, with daily goal attainment
+app.get("/walks/history", authMiddleware, async (req, res) => {
+  const parsed = walkHistorySchema.safeParse(req.query);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
   try {
-    const id = String(req.params.id);
-    const { data: rows, error: selErr } = await supabase
-      .from("walk_sessions")
-      .select("id,user_id")
-      .eq("id", id)
-      .limit(1);
-    if (selErr) return res.status(500).json({ error: "Lookup failed" });
-    if (!rows || rows.length === 0)
-      return res.status(404).json({ error: "Walk not found" });
-    if (rows[0].user_id !== req.user.sub)
-      return res.status(403).json({ error: "Not your walk" });
+    const { from, to, granularity, tzOffsetMin } = parsed.data;
+    const { data: user, error: userErr } = await supabase
+      .from("users")
+      .select("daily_step_goal, timezone")
+      .eq("id", req.user.sub)
+      .single();
+    if (userErr) {
+      console.error("Fetch walk history user error:", userErr);
+      return res.status(500).json({ error: "Failed to fetch walk history" });
+    }
+    const tz = resolveTz(user?.timezone, tzOffsetMin);
+    const startUtc = new Date(localMidnightUtcMs(from, tz)).toISOString();
+    const endUtc = new Date(
+      localMidnightUtcMs(addDays(to, 1), tz)
+    ).toISOString();
 
-    const { error: delErr } = await supabase
-      .from("walk_sessions")
-      .delete()
-      .eq("id", id);
-    if (delErr) return res.status(500).json({ error: "Delete failed" });
-    return res.status(200).json({ ok: true, id });
+    const { data: walkRows, error } = await selectAllRows(() =>
+      supabase
+        .from("walk_sessions")
+        .select("started_at, duration_sec, distance_m, steps")
+        .eq("user_id", req.user.sub)
+        .eq("validation_status", COUNTED_WALK_STATUS)
+        .gte("started_at", startUtc)
+        .lt("started_at", endUtc)
+        .order("started_at", { ascending: true })
+        .order("id", { ascending: true })
+    );
+    if (error) {
+      console.error("Fetch walk history error:", error);
+      return res.status(500).json({ error: "Failed to fetch walk history" });
+    }
+    const goal =
+      user?.daily_step_goal !== null && user?.daily_step_goal !== undefined
+        ? Number(user.daily_step_goal)
+        : null;
+
+    // Per-day totals first; buckets and goal attainment both derive from them
+    const days = new Map();
+    for (let d = from; d <= to; d = addDays(d, 1))
+      days.set(d, {
+        date: d,
+        steps: 0,
+        distanceM: 0,
+        durationSec: 0,
+        sessionCount: 0,
+      });
+    for (const r of walkRows || []) {
+      const day = days.get(localDateKey(Date.parse(r.started_at), tz));
+      if (!day) continue;
+      day.steps += Number(r.steps || 0);
+      day.distanceM += Number(r.distance_m || 0);
+      day.durationSec += Number(r.duration_sec || 0);
+      day.sessionCount += 1;
+    }
+    const dayList = [...days.values()].map((d) => ({
+      ...d,
+      distanceM: Number(d.distanceM.toFixed(2)),
+      goal,
+      goalMet: goal !== null && goal > 0 ? d.steps >= goal : null,
+    }));
+
+    const buckets = [];
+    for (const d of dayList) {
+      const start = bucketStartKey(d.date, granularity);
+      let b = buckets[buckets.length - 1];
+      if (!b || b.start !== start) {
+        b = {
+          start,
+          end: nextBucketKey(start, granularity),
+          steps: 0,
+          distanceM: 0,
+          durationSec: 0,
+          sessionCount: 0,
+          dayCount: 0,
+          goalDaysMet: 0,
+        };
+        buckets.push(b);
+      }
+      b.steps += d.steps;
+      b.distanceM += d.distanceM;
+      b.durationSec += d.durationSec;
+      b.sessionCount += d.sessionCount;
+      b.dayCount += 1;
+      if (d.goalMet) b.goalDaysMet += 1;
+    }
+    for (const b of buckets) b.distanceM = Number(b.distanceM.toFixed(2));
+
+    return res.status(200).json({
+      granularity,
+      from,
+      to,
+      dailyStepGoal: goal,
+      buckets,
+      days: dayList,
+      window: { startUtc, endUtc, ...describeTz(tz) },
+    });
   } catch (e) {
-    console.error("Dev delete walk error:", e);
-    return res.status(500).json({ error: "Delete failed" });
+    console.error("Walk history error:", e);
+    return res.status(500).json({ error: "Failed to fetch walk history" });
   }
 });
 
-/* ------------------------------ Meal routes ------------------------------- */
-// Live-only analyze (3/day), stubbed macros for now (no storage of images)
-app.post(
-  "/meals/analyze",
-  authMiddleware,
-  upload.single("image"),
-  async (req, res) => {
-    try {
-      const liveHdr = String(req.headers["x-live-capture"] || "").trim();
-      if (liveHdr !== "1")
-        return res.status(400).json({
-          error: "Live capture required (missing X-Live-Capture header)",
-        });
+/* -------------------------- Streaks + achievements ------------------------- */
+// Recompute streaks and badges from the user's full walk history (read in
+// pages). Cheap enough per write, and backfills or deletions come out right
+// for free.
+async function refreshAchievements(userId) {
+  const [userRes, walksRes, awardedRes] = await Promise.all([
+    supabase
+      .from("users")
+      .select("daily_step_goal, timezone")
+      .eq("id", userId)
+      .single(),
+    selectAllRows(() =>
+      supabase
+        .from("walk_sessions")
+        .select("started_at, steps, distance_m")
+        .eq("user_id", userId)
+        .eq("validation_status", COUNTED_WALK_STATUS)
+        .order("started_at", { ascending: true })
+        .order("id", { ascending: true })
+    ),
+    supabase
+      .from("user_achievements")
+      .select("achievement_id, awarded_at")
+      .eq("user_id", userId),
+  ]);
+  if (userRes.error || walksRes.error || awardedRes.error)
+    throw new Error("Achievement data lookup failed");
 
-      const { tzOffsetMin = 0 } = tzSchema.parse(req.query);
-      const { mealType } = mealAnalyzeSchema.parse(req.body);
+  const goal = Number(userRes.data?.daily_step_goal || 0);
+  const tz = resolveTz(userRes.data?.timezone, 0);
+  const walks = walksRes.data || [];
+  const days = new Map();
+  for (const w of walks) {
+    const key = localDateKey(Date.parse(w.started_at), tz);
+    days.set(key, (days.get(key) || 0) + Number(w.steps || 0));
+  }
 
-      if (!req.file)
-        return res
-          .status(400)
-          .json({ error: "Missing image file (field: image)" });
+  const streaks = computeStreaks(days, goal, localDateKey(Date.now(), tz));
+  const stats = computeStats(walks, days, streaks, goal);
 
-      const capStr = String(req.body.capturedAt || "");
-      const capAt = new Date(capStr);
-      if (!(capAt instanceof Date) || isNaN(capAt.getTime()))
-        return res.status(400).json({ error: "Missing or invalid capturedAt" });
-      const ageMs = Math.abs(Date.now() - capAt.getTime());
-      if (ageMs > 15_000)
-        return res
-          .status(400)
-          .json({ error: "Capture too old — recapture and try again" });
+  const awarded = new Map(
+    (awardedRes.data || []).map((r) => [r.achievement_id, r.awarded_at])
+  );
+  const newlyEarned = earnedAchievements(stats).filter(
+    (a) => !awarded.has(a.id)
+  );
+  if (newlyEarned.length) {
+    const now = new Date().toISOString();
+    const { error } = await supabase.from("user_achievements").upsert(
+      newlyEarned.map((a) => ({
+        user_id: userId,
+        achievement_id: a.id,
+        awarded_at: now,
+      })),
+      { onConflict: "user_id,achievement_id", ignoreDuplicates: true }
+    );
+    if (error) throw new Error("Achievement insert failed");
+    for (const a of newlyEarned) awarded.set(a.id, now);
+  }
 
-      const { startUtc, endUtc } = localWindowUtc(tzOffsetMin);
+  const { error: sErr } = await supabase.from("user_streaks").upsert([
+    {
+      user_id: userId,
+      current_streak: streaks.current,
+      best_streak: streaks.best,
+      last_goal_date: streaks.lastGoalDate,
+      updated_at: new Date().toISOString(),
+    },
+  ]);
+  if (sErr) throw new Error("Streak upsert failed");
 
-      const { data: todayRows, error: cntErr } = await supabase
-        .from("meal_analyses")
-        .select("id, meal_type, created_at")
-        .eq("user_id", req.user.sub)
-        .gte("created_at", startUtc)
-        .lt("created_at", endUtc);
+  return { goal, streaks, stats, awarded, newlyEarned };
+}
+
+// Walk writes should not fail because badge bookkeeping did
+async function syncAchievements(userId) {
+  try {
+    const { newlyEarned } = await refreshAchievements(userId);
+    return newlyEarned.map((a) => ({ id: a.id, title: a.title }));
+  } catch (e) {
+    console.error("Achievement refresh error:", e);
+    return [];
+  }
+}
+
+app.get("/streaks", authMiddleware, async (req, res) => {
+  try {
+    const { goal, streaks } = await refreshAchievements(req.user.sub);
+    return res.status(200).json({
+      dailyStepGoal: goal || null,
+      current: streaks.current,
+      best: streaks.best,
+      lastGoalDate: streaks.lastGoalDate,
+      todayMet: streaks.todayMet,
+    });
+  } catch (e) {
+    console.error("Streaks error:", e);
+    return res.status(500).json({ error: "Failed to fetch streaks" });
+  }
+});
+
+app.get("/achievements", authMiddleware, async (req, res) => {
+  try {
+    const { stats, awarded } = await refreshAchievements(req.user.sub);
+    const items = ACHIEVEMENTS.map((a) => ({
+      id: a.id,
+      title: a.title,
+      description: a.description,
+      earned: awarded.has(a.id),
+      awardedAt: awarded.get(a.id) ?? null,
+      progress: {
+        value: Math.min(Number(stats[a.metric] || 0), a.threshold),
+        target: a.threshold,
+      },
+    }));
+    return res.status(200).json({
+      items,
+      earnedCount: items.filter((i) => i.earned).length,
+      stats,
+    });
+  } catch (e) {
+    console.error("Achievements error:", e);
+    return res.status(500).json({ error: "Failed to fetch achievements" });
+  }
+});
+
+/* ------------------------- Walk edits + audit trail ------------------------ */
+const WALK_AUDIT_FIELDS = [
+  "started_at",
+  "ended_at",
+  "duration_sec",
+  "distance_m",
+  "steps",
+  "kcal_active",
+  "validation_status",
+  "validation_reasons",
+];
+
+function walkSnapshot(row) {
+  if (!row) return null;
+  const out = {};
+  for (const k of WALK_AUDIT_FIELDS) out[k] = row[k] ?? null;
+  return out;
+}
+
+async function recordWalkAudit({
+  walkId,
+  userId,
+  actorId,
+  action,
+  before,
+  after,
+}) {
+  const { error } = await supabase.from("walk_audit").insert([
+    {
+      walk_session_id: walkId,
+      user_id: userId,
+      actor_id: actorId,
+      action,
+      before: walkSnapshot(before),
+      after: walkSnapshot(after),
+    },
+  ]);
+  if (error) throw new Error("Walk audit insert failed");
+}
+
+async function loadOwnedWalk(userId, id) {
+  const { data: rows, error } = await supabase
+    .from("walk_sessions")
+    .select("*")
+    .eq("id", id)
+    .limit(1);
+  if (error) throw new Error("Walk lookup failed");
+  const row = rows?.[0];
+  if (!row) return { status: 404, error: "Walk not found" };
+  if (row.user_id !== userId) return { status: 403, error: "Not your walk" };
+  return { row };
+}
+
+// Steps that went into a voucher stay fixed: once redeemed they are on-chain,
+// and an issued or expired voucher can still be redeemed or reissued.
+async function walkRewardLock(walkId) {
+  const { data: rows, error } = await supabase
+    .from("reward_claim_items")
+    .select("claim_id, reward_claims(status)")
+    .eq("walk_session_id", walkId);
+  if (error) throw new Error("Reward lock lookup failed");
+  if (!rows || rows.length === 0) return null;
+  const redeemed = rows.some((r) => r.reward_claims?.status === "redeemed");
+  return redeemed
+    ? "Walk is covered by a redeemed reward voucher and can't be changed"
+    : "Walk is covered by an outstanding reward voucher and can't be changed";
+}
+
+const walkPatchSchema = z
+  .object({
+    startedAt: z.string().optional(),
+    endedAt: z.string().optional(),
+    durationSec: z.number().int().min(0).optional(),
+    distanceM: z.number().min(0).optional(),
+    steps: z.number().int().min(0).optional(),
+  })
+  .strict()
+  .refine((v) => Object.keys(v).length > 0, "Nothing to update");
+
+function walkFieldsChanged(row, walk) {
+  return (
+    Date.parse(row.started_at) !== Date.parse(walk.startedAt) ||
+    Date.parse(row.ended_at) !== Date.parse(walk.endedAt) ||
+    Number(row.duration_sec) !== walk.durationSec ||
+    Number(row.distance_m) !== walk.distanceM ||
+    Number(row.steps) !== walk.steps
+  );
+}
+
+// The stored route in the shape assessWalk expects, so an edit is checked
+// against the same GPS track as the original upload
+async function loadRouteCheck(walkId) {
+  const { data: row, error } = await supabase
+    .from("walk_routes")
+    .select("distance_m, points")
+    .eq("walk_session_id", walkId)
+    .maybeSingle();
+  if (error) throw new Error("Route lookup failed");
+  const points = Array.isArray(row?.points) ? row.points : [];
+  if (points.length < 2) return null;
+  return {
+    distanceM: Number(row.distance_m),
+    startMs: Date.parse(points[0].t),
+    endMs: Date.parse(points[points.length - 1].t),
+  };
+}
+
+// Editing a rejected walk can at best send it back to the review queue
+function reviewedCheck(before, check) {
+  if (before.validation_status !== "rejected" || check.status === "rejected")
+    return check;
+  return {
+    ...check,
+    status: "flagged",
+    reasons: [...check.reasons, "edited_after_rejection"],
+  };
+}
+
+app.patch("/walks/:id", authMiddleware, async (req, res) => {
+  const parsed = walkPatchSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const found = await loadOwnedWalk(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const before = found.row;
+
+    const lock = await walkRewardLock(before.id);
+    if (lock) return res.status(423).json({ error: lock });
+
+    const merged = walkSchema.safeParse({
+      startedAt: before.started_at,
+      endedAt: before.ended_at,
+      durationSec: Number(before.duration_sec),
+      distanceM: Number(before.distance_m),
+      steps: Number(before.steps),
+      ...parsed.data,
+    });
+    if (!merged.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: merged.error.flatten() });
+
+    const walk = merged.data;
+    // A no-op patch keeps the stored verdict, GPS flags and admin review
+    if (!walkFieldsChanged(before, walk))
+      return res.status(200).json({
+        walk: before,
+        validation: {
+          status: before.validation_status,
+          reasons: before.validation_reasons ?? [],
+        },
+      });
+
+    const [route, weightKg] = await Promise.all([
+      loadRouteCheck(before.id),
+      loadWeightKg(req.user.sub),
+    ]);
+    const check = reviewedCheck(
+      before,
+      await assessWalk(req.user.sub, walk, { excludeId: before.id, route })
+    );
+    const { data: after, error } = await supabase
+      .from("walk_sessions")
+      .update({
+        started_at: new Date(walk.startedAt).toISOString(),
+        ended_at: new Date(walk.endedAt).toISOString(),
+        duration_sec: walk.durationSec,
+        distance_m: walk.distanceM,
+        steps: walk.steps,
+        ...validationFields(check),
+        ...energyFields(walk, weightKg),
+      })
+      .eq("id", before.id)
+      .select("*")
+      .single();
+    if (error) {
+      console.error("Update walk error:", error);
+      return res.status(500).json({ error: "Failed to update walk" });
+    }
+
+    await recordWalkAudit({
+      walkId: before.id,
+      userId: before.user_id,
+      actorId: req.user.sub,
+      action: "update",
+      before,
+      after,
+    });
+    await syncAchievements(req.user.sub);
+    return res.status(200).json({
+      walk: after,
+      validation: { status: check.status, reasons: check.reasons },
+    });
+  } catch (e) {
+    console.error("Walk update error:", e);
+    return res.status(500).json({ error: "Failed to update walk" });
+  }
+});
+
+app.delete("/walks/:id", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadOwnedWalk(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const before = found.row;
+
+    const lock = await walkRewardLock(before.id);
+    if (lock) return res.status(423).json({ error: lock });
+
+    const { error } = await supabase
+      .from("walk_sessions")
+      .delete()
+      .eq("id", before.id);
+    if (error) {
+      console.error("Delete walk error:", error);
+      return res.status(500).json({ error: "Delete failed" });
+    }
+
+    await recordWalkAudit({
+      walkId: before.id,
+      userId: before.user_id,
+      actorId: req.user.sub,
+      action: "delete",
+      before,
+      after: null,
+    });
+    await syncAchievements(req.user.sub);
+    return res.status(200).json({ ok: true, id: before.id });
+  } catch (e) {
+    console.error("Walk delete error:", e);
+    return res.status(500).json({ error: "Delete failed" });
+  }
+});
+
+app.get("/walks/:id/audit", authMiddleware, async (req, res) => {
+  try {
+    const { data: rows, error } = await supabase
+      .from("walk_audit")
+      .select("id, action, actor_id, before, after, created_at")
+      .eq("walk_session_id", String(req.params.id))
+      .eq("user_id", req.user.sub)
+      .order("created_at", { ascending: true });
+    if (error) {
+      console.error("Fetch walk audit error:", error);
+      return res.status(500).json({ error: "Failed to fetch audit trail" });
+    }
+    const items = (rows || []).map((r) => ({
+      id: r.id,
+      action: r.action,
+      actorId: r.actor_id,
+      before: r.before,
+      after: r.after,
+      createdAt: r.created_at,
+    }));
+    return res.status(200).json({ items, count: items.length });
+  } catch (e) {
+    console.error("Walk audit error:", e);
+    return res.status(500).json({ error: "Failed to fetch audit trail" });
+  }
+});
+
+/* ----------------------------- Walk review (admin) ---------------------------- */
+app.get(
+  "/admin/walks/flagged",
+  authMiddleware,
+  adminGuard,
+  async (req, res) => {
+    try {
+      const { data: rows, error } = await supabase
+        .from("walk_sessions")
+        .select("*")
+        .eq("validation_status", "flagged")
+        .order("started_at", { ascending: true })
+        .limit(200);
+      if (error) {
+        console.error("Fetch flagged walks error:", error);
+        return res.status(500).json({ error: "Failed to fetch flagged walks" });
+      }
+      return res
+        .status(200)
+        .json({ items: rows || [], count: rows?.length || 0 });
+    } catch (e) {
+      console.error("Flagged walks error:", e);
+      return res.status(500).json({ error: "Failed to fetch flagged walks" });
+    }
+  }
+);
+
+const walkReviewSchema = z.object({
+  status: z.enum(["accepted", "rejected"]),
+  note: z.string().trim().max(500).optional(),
+});
+
+app.post(
+  "/admin/walks/:id/review",
+  authMiddleware,
+  adminGuard,
+  async (req, res) => {
+    const parsed = walkReviewSchema.safeParse(req.body);
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+    try {
+      const { data: before, error: selErr } = await supabase
+        .from("walk_sessions")
+        .select("*")
+        .eq("id", String(req.params.id))
+        .maybeSingle();
+      if (selErr) return res.status(500).json({ error: "Review failed" });
+      if (!before) return res.status(404).json({ error: "Walk not found" });
+
+      const { data: row, error } = await supabase
+        .from("walk_sessions")
+        .update({
+          validation_status: parsed.data.status,
+          review_note: parsed.data.note ?? null,
+          reviewed_at: new Date().toISOString(),
+          reviewed_by: req.user.sub,
+        })
+        .eq("id", String(req.params.id))
+        .select("*")
+        .maybeSingle();
+      if (error) {
+        console.error("Review walk error:", error);
+        return res.status(500).json({ error: "Review failed" });
+      }
+      if (!row) return res.status(404).json({ error: "Walk not found" });
+
+      await recordWalkAudit({
+        walkId: row.id,
+        userId: row.user_id,
+        actorId: req.user.sub,
+        action: "review",
+        before,
+        after: row,
+      });
+      await syncAchievements(row.user_id);
+      return res.status(200).json({ walk: row });
+    } catch (e) {
+      console.error("Review walk error:", e);
+      return res.status(500).json({ error: "Review failed" });
+    }
+  }
+);
+
+// Dev delete a walk
+app.delete("/dev/walk/:id", authMiddleware, devGuard, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const { data: rows, error: selErr } = await supabase
+      .from("walk_sessions")
+      .select("*")
+      .eq("id", id)
+      .limit(1);
+    if (selErr) return res.status(500).json({ error: "Lookup failed" });
+    if (!rows || rows.length === 0)
+      return res.status(404).json({ error: "Walk not found" });
+    if (rows[0].user_id !== req.user.sub)
+      return res.status(403).json({ error: "Not your walk" });
+
+    const { error: delErr } = await supabase
+      .from("walk_sessions")
+      .delete()
+      .eq("id", id);
+    if (delErr) return res.status(500).json({ error: "Delete failed" });
+
+    await recordWalkAudit({
+      walkId: id,
+      userId: rows[0].user_id,
+      actorId: req.user.sub,
+      action: "dev_delete",
+      before: rows[0],
+      after: null,
+    });
+    await syncAchievements(rows[0].user_id);
+    return res.status(200).json({ ok: true, id });
+  } catch (e) {
+    console.error("Dev delete walk error:", e);
+    return res.status(500).json({ error: "Delete failed" });
+  }
+});
+
+/* ------------------------------ Meal routes ------------------------------- */
+const MEAL_ANALYSES_PER_DAY = 3;
+const mealVision = visionProviderFromEnv();
+
+function mealFeedback({ protein_g: protein, carbs_g: carbs, fat_g: fat }) {
+  let feedback = "Balanced meal.";
+  if (protein >= 25) feedback = "Good source of protein!";
+  if (fat >= 25 && protein < 20)
+    feedback = "High in fats — consider leaner options.";
+  if (carbs >= 45 && fat < 15)
+    feedback = "Carb-heavy — pair with protein for balance.";
+  return feedback;
+}
+
+function mapMealAnalysisRow(row) {
+  return {
+    id: row.id,
+    status: row.status || "confirmed",
+    mealType: row.meal_type ?? null,
+    ...completeNutrients(row),
+    calories: Math.round(Number(row.calories || 0)),
+    feedback: mealFeedback(row),
+    items: row.items || [],
+    origin: row.origin || "photo",
+    provider: row.provider ?? null,
+    createdAt: row.created_at,
+    confirmedAt: row.confirmed_at ?? null,
+  };
+}
+
+// Quota and intake for one local day. Only photo analyses use up quota
+// (deleted ones included); confirmed live meals of any origin count as intake.
+function summarizeMealDay(rows) {
+  const live = rows.filter((m) => !m.deleted_at);
+  const photos = rows.filter((m) => (m.origin || "photo") === "photo");
+  return {
+    analyzed: photos.length,
+    remaining: Math.max(0, MEAL_ANALYSES_PER_DAY - photos.length),
+    limit: MEAL_ANALYSES_PER_DAY,
+    usedTypes: [
+      ...new Set(
+        photos
+          .filter((m) => !m.deleted_at)
+          .map((m) => m.meal_type)
+          .filter(Boolean)
+      ),
+    ],
+    entries: live.length,
+    totals: sumNutrients(live.filter((m) => m.status !== "draft")),
+    units: NUTRIENT_UNITS,
+  };
+}
+
+// Live-only analyze (3/day). The recognition provider's detections are saved
+// as a draft; the user corrects them via /meals/analyze/:id/confirm. Images
+// are never stored.
+app.post(
+  "/meals/analyze",
+  authMiddleware,
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      const liveHdr = String(req.headers["x-live-capture"] || "").trim();
+      if (liveHdr !== "1")
+        return res.status(400).json({
+          error: "Live capture required (missing X-Live-Capture header)",
+        });
+
+      const tzParsed = tzSchema.safeParse(req.query);
+      if (!tzParsed.success)
+        return res
+          .status(400)
+          .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+      const { tzOffsetMin } = tzParsed.data;
+      const bodyParsed = mealAnalyzeSchema.safeParse(req.body);
+      if (!bodyParsed.success)
+        return res.status(400).json({
+          error: "Invalid input",
+          details: bodyParsed.error.flatten(),
+        });
+      const { mealType } = bodyParsed.data;
+
+      if (!req.file)
+        return res
+          .status(400)
+          .json({ error: "Missing image file (field: image)" });
+
+      const capStr = String(req.body.capturedAt || "");
+      const capAt = new Date(capStr);
+      if (!(capAt instanceof Date) || isNaN(capAt.getTime()))
+        return res.status(400).json({ error: "Missing or invalid capturedAt" });
+      const ageMs = Math.abs(Date.now() - capAt.getTime());
+      if (ageMs > 15_000)
+        return res
+          .status(400)
+          .json({ error: "Capture too old — recapture and try again" });
+
+      const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+      const { startUtc, endUtc } = localDayWindow(tz);
+
+      const { data: todayRows, error: cntErr } = await supabase
+        .from("meal_analyses")
+        .select("id, meal_type, created_at, deleted_at")
+        .eq("user_id", req.user.sub)
+        .eq("origin", "photo")
+        .gte("created_at", startUtc)
+        .lt("created_at", endUtc);
+
+      if (cntErr) {
+        console.error("Count meals error:", cntErr);
+        return res.status(500).json({ error: "Failed to check daily limit" });
+      }
+
+      const usedCount = (todayRows || []).length;
+      if (usedCount >= MEAL_ANALYSES_PER_DAY)
+        return res.status(429).json({
+          error: `Daily limit reached (${MEAL_ANALYSES_PER_DAY} analyses per day)`,
+        });
+      if (mealType) {
+        const already = (todayRows || []).some(
+          (r) => r.meal_type === mealType && !r.deleted_at
+        );
+        if (already)
+          return res
+            .status(409)
+            .json({ error: `You already analyzed ${mealType} today` });
+      }
+
+      let detected;
+      try {
+        detected = await mealVision.detect({
+          buffer: req.file.buffer,
+          mimeType: req.file.mimetype,
+        });
+      } catch (e) {
+        console.error("Meal recognition error:", e);
+        return res.status(502).json({ error: "Food recognition unavailable" });
+      }
+
+      const { total, breakdown } = await computeMealItems(
+        detected.map((d) => ({
+          name: d.name,
+          grams: d.grams,
+          detectedName: d.name,
+          confidence: d.confidence,
+        })),
+        { userId: req.user.sub }
+      );
+
+      const { data: saved, error: insErr } = await supabase
+        .from("meal_analyses")
+        .insert([
+          {
+            user_id: req.user.sub,
+            meal_type: mealType || null,
+            ...total,
+            status: "draft",
+            origin: "photo",
+            items: breakdown,
+            provider: mealVision.name,
+          },
+        ])
+        .select("*")
+        .single();
+
+      if (insErr) {
+        console.error("Insert meal analysis error:", insErr);
+        return res.status(500).json({ error: "Failed to record analysis" });
+      }
+
+      const remaining = Math.max(0, MEAL_ANALYSES_PER_DAY - (usedCount + 1));
+      const usedTypes = [
+        ...new Set(
+          (todayRows || [])
+            .filter((r) => !r.deleted_at)
+            .map((r) => r.meal_type)
+            .filter(Boolean)
+        ),
+      ];
+      if (mealType && !usedTypes.includes(mealType)) usedTypes.push(mealType);
+
+      return res.status(200).json({
+        analysis: mapMealAnalysisRow(saved),
+        used: usedTypes,
+        remaining,
+      });
+    } catch (e) {
+      console.error("Analyze meal error:", e);
+      return res.status(500).json({ error: "Analysis failed" });
+    }
+  }
+);
+
+// Stored meals and recipes refuse portions that would be saved as 0 g
+const UNRESOLVED_ERROR = "Some portions could not be converted to grams";
+
+// Items whose name matches a detection keep its confidence; anything the user
+// added or re-weighed is marked as corrected. `breakdown` is computeMealItems'
+// output for `items` (same order), so portions compare by resolved grams.
+function withDetections(previous, items, breakdown) {
+  const detected = new Map(
+    (previous || [])
+      .filter((it) => it.detectedName)
+      .map((it) => [normalizeFoodName(it.detectedName), it])
+  );
+  return breakdown.map((part, i) => {
+    const match = detected.get(normalizeFoodName(items[i].name));
+    return {
+      ...part,
+      detectedName: match ? match.detectedName : null,
+      confidence: match ? match.confidence ?? null : null,
+      corrected: !match || Number(match.grams) !== part.grams,
+    };
+  });
+}
+
+// Commit a draft analysis, optionally replacing the detected items
+app.post("/meals/analyze/:id/confirm", authMiddleware, async (req, res) => {
+  const parsed = mealConfirmSchema.safeParse(req.body || {});
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { data: row, error: fetchErr } = await supabase
+      .from("meal_analyses")
+      .select("*")
+      .eq("id", String(req.params.id))
+      .eq("user_id", req.user.sub)
+      .is("deleted_at", null)
+      .maybeSingle();
+    if (fetchErr) {
+      console.error("Fetch meal analysis error:", fetchErr);
+      return res.status(500).json({ error: "Failed to fetch analysis" });
+    }
+    if (!row) return res.status(404).json({ error: "Analysis not found" });
+    if ((row.status || "confirmed") !== "draft")
+      return res.status(409).json({ error: "Analysis already confirmed" });
+
+    let update = {
+      status: "confirmed",
+      confirmed_at: new Date().toISOString(),
+    };
+    if (parsed.data.items) {
+      const { total, breakdown, unresolved } = await computeMealItems(
+        parsed.data.items,
+        { userId: req.user.sub }
+      );
+      if (unresolved.length)
+        return res.status(400).json({ error: UNRESOLVED_ERROR, unresolved });
+      const items = withDetections(row.items, parsed.data.items, breakdown);
+      update = { ...update, ...total, items };
+    }
+
+    const { data: saved, error } = await supabase
+      .from("meal_analyses")
+      .update(update)
+      .eq("id", row.id)
+      .eq("status", "draft")
+      .select("*")
+      .maybeSingle();
+    if (error) {
+      console.error("Confirm meal analysis error:", error);
+      return res.status(500).json({ error: "Failed to confirm analysis" });
+    }
+    if (!saved)
+      return res.status(409).json({ error: "Analysis already confirmed" });
+
+    return res.status(200).json({ analysis: mapMealAnalysisRow(saved) });
+  } catch (e) {
+    console.error("Confirm meal error:", e);
+    return res.status(500).json({ error: "Failed to confirm analysis" });
+  }
+});
+
+// Manual food log: same items payload as /meals/compute, but stored. Does not
+// count against the photo-analysis quota.
+app.post("/meals", authMiddleware, async (req, res) => {
+  const parsed = mealLogSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { total, breakdown, unmatched, unresolved } = await computeMealItems(
+      parsed.data.items,
+      { userId: req.user.sub }
+    );
+    if (unresolved.length)
+      return res.status(400).json({ error: UNRESOLVED_ERROR, unresolved });
+    const { data: saved, error } = await supabase
+      .from("meal_analyses")
+      .insert([
+        {
+          user_id: req.user.sub,
+          meal_type: parsed.data.mealType || null,
+          ...total,
+          status: "confirmed",
+          origin: "manual",
+          items: breakdown,
+          confirmed_at: new Date().toISOString(),
+        },
+      ])
+      .select("*")
+      .single();
+    if (error) {
+      console.error("Insert meal log error:", error);
+      return res.status(500).json({ error: "Failed to log meal" });
+    }
+    return res.status(201).json({ meal: mapMealAnalysisRow(saved), unmatched });
+  } catch (e) {
+    console.error("Log meal error:", e);
+    return res.status(500).json({ error: "Failed to log meal" });
+  }
+});
+
+app.get("/meals/today", authMiddleware, async (req, res) => {
+  try {
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+    const { startUtc, endUtc } = localDayWindow(tz);
+
+    const { data: rows, error } = await supabase
+      .from("meal_analyses")
+      .select("*")
+      .eq("user_id", req.user.sub)
+      .gte("created_at", startUtc)
+      .lt("created_at", endUtc)
+      .order("created_at", { ascending: true });
+    if (error) {
+      console.error("Fetch today meals error:", error);
+      return res.status(500).json({ error: "Failed to fetch today meals" });
+    }
+
+    return res.status(200).json({
+      items: (rows || []).filter((r) => !r.deleted_at).map(mapMealAnalysisRow),
+      ...summarizeMealDay(rows || []),
+      window: { startUtc, endUtc, ...describeTz(tz) },
+    });
+  } catch (e) {
+    console.error("Today meals error:", e);
+    return res.status(500).json({ error: "Failed to fetch today meals" });
+  }
+});
+
+// Newest first. Defaults to the last 30 local days ending today.
+app.get("/meals/list", authMiddleware, async (req, res) => {
+  const parsed = mealListSchema.safeParse(req.query);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { tzOffsetMin, limit, offset } = parsed.data;
+    const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+    const to = parsed.data.to || localDateKey(Date.now(), tz);
+    const from = parsed.data.from || addDays(to, -29);
+    if (from > to)
+      return res.status(400).json({ error: "from must be on or before to" });
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_HISTORY_DAYS)
+      return res
+        .status(400)
+        .json({ error: `Range is limited to ${MAX_HISTORY_DAYS} days` });
+    const startUtc = new Date(localMidnightUtcMs(from, tz)).toISOString();
+    const endUtc = new Date(
+      localMidnightUtcMs(addDays(to, 1), tz)
+    ).toISOString();
+
+    const {
+      data: rows,
+      error,
+      count,
+    } = await supabase
+      .from("meal_analyses")
+      .select("*", { count: "exact" })
+      .eq("user_id", req.user.sub)
+      .is("deleted_at", null)
+      .gte("created_at", startUtc)
+      .lt("created_at", endUtc)
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      console.error("Fetch meal list error:", error);
+      return res.status(500).json({ error: "Failed to fetch meals" });
+    }
+
+    const items = (rows || []).map((r) => ({
+      ...mapMealAnalysisRow(r),
+      date: localDateKey(Date.parse(r.created_at), tz),
+    }));
+    const total = count ?? items.length;
+    return res.status(200).json({
+      items,
+      count: items.length,
+      total,
+      limit,
+      offset,
+      nextOffset: offset + items.length < total ? offset + items.length : null,
+      from,
+      to,
+      window: { startUtc, endUtc, ...describeTz(tz) },
+    });
+  } catch (e) {
+    console.error("Meal list error:", e);
+    return res.status(500).json({ error: "Failed to fetch meals" });
+  }
+});
+
+async function loadOwnedMeal(userId, id) {
+  const { data: row, error } = await supabase
+    .from("meal_analyses")
+    .select("*")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    console.error("Fetch meal error:", error);
+    return { status: 500, error: "Failed to fetch meal" };
+  }
+  if (!row) return { status: 404, error: "Meal not found" };
+  return { row };
+}
+
+app.get("/meals/:id", authMiddleware, async (req, res) => {
+  try {
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const found = await loadOwnedMeal(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+    return res.status(200).json({
+      meal: {
+        ...mapMealAnalysisRow(found.row),
+        date: localDateKey(Date.parse(found.row.created_at), tz),
+      },
+    });
+  } catch (e) {
+    console.error("Get meal error:", e);
+    return res.status(500).json({ error: "Failed to fetch meal" });
+  }
+});
+
+// Replace line items (totals are recomputed) and/or change the meal type.
+// Drafts go through /meals/analyze/:id/confirm instead.
+app.patch("/meals/:id", authMiddleware, async (req, res) => {
+  const parsed = mealUpdateSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const found = await loadOwnedMeal(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const row = found.row;
+    if (row.status === "draft")
+      return res
+        .status(409)
+        .json({ error: "Confirm the analysis before editing it" });
+
+    const update = {};
+    if (parsed.data.mealType !== undefined)
+      update.meal_type = parsed.data.mealType;
+    if (parsed.data.items) {
+      const { total, breakdown, unresolved } = await computeMealItems(
+        parsed.data.items,
+        { userId: req.user.sub }
+      );
+      if (unresolved.length)
+        return res.status(400).json({ error: UNRESOLVED_ERROR, unresolved });
+      const items =
+        (row.origin || "photo") === "photo"
+          ? withDetections(row.items, parsed.data.items, breakdown)
+          : breakdown;
+      Object.assign(update, total, { items });
+    }
+
+    const { data: saved, error } = await supabase
+      .from("meal_analyses")
+      .update(update)
+      .eq("id", row.id)
+      .select("*")
+      .single();
+    if (error) {
+      console.error("Update meal error:", error);
+      return res.status(500).json({ error: "Failed to update meal" });
+    }
+    return res.status(200).json({ meal: mapMealAnalysisRow(saved) });
+  } catch (e) {
+    console.error("Meal update error:", e);
+    return res.status(500).json({ error: "Failed to update meal" });
+  }
+});
+
+// Soft delete: a deleted photo analysis keeps counting against the daily
+// quota, since the recognition already ran.
+app.delete("/meals/:id", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadOwnedMeal(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+
+    const { error } = await supabase
+      .from("meal_analyses")
+      .update({ deleted_at: new Date().toISOString() })
+      .eq("id", found.row.id);
+    if (error) {
+      console.error("Delete meal error:", error);
+      return res.status(500).json({ error: "Delete failed" });
+    }
+    return res.status(200).json({ ok: true, id: found.row.id });
+  } catch (e) {
+    console.error("Meal delete error:", e);
+    return res.status(500).json({ error: "Delete failed" });
+  }
+});
+
+// USDA compute (safe fallback)
+app.post("/meals/compute", authMiddleware, async (req, res) => {
+  const parsed = usdaComputeSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { total, breakdown, unmatched, unresolved } = await computeMealItems(
+      parsed.data.items,
+      { userId: req.user.sub }
+    );
+    return res.status(200).json({
+      total,
+      breakdown,
+      unmatched,
+      unresolved,
+      units: NUTRIENT_UNITS,
+    });
+  } catch (e) {
+    console.error("Compute meal (safe) error:", e);
+    return res.status(200).json({
+      total: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
+      breakdown: [],
+      unmatched: [],
+      unresolved: [],
+      note: "Fallback empty due to error.",
+    });
+  }
+});
+
+/* ---------------------------------- Foods --------------------------------- */
+const FOOD_SEARCH_MIN_SCORE = 0.4;
+const SOURCE_ORDER = ["custom", "local", "usda"];
+
+// Ranked candidates from the user's custom foods, the built-in table and
+// (unless usda=0) USDA. Zero-calorie table entries are tableware labels from
+// image recognition and only show up on an exact hit.
+app.get("/foods/search", authMiddleware, async (req, res) => {
+  const parsed = foodSearchSchema.safeParse(req.query);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { q, limit, usda } = parsed.data;
+    const n = normalizeFoodName(q);
+    const results = [];
+
+    const customs = await loadCustomFoods(req.user.sub);
+    for (const m of rankFoodMatches(
+      n,
+      customs.map((c) => c.name),
+      { minScore: FOOD_SEARCH_MIN_SCORE }
+    )) {
+      const row = customs.find((c) => c.name === m.name);
+      results.push({
+        ...m,
+        source: "custom",
+        customFoodId: row.id,
+        per100: customFoodPer100(row),
+      });
+    }
+
+    for (const m of rankFoodMatches(
+      n,
+      Object.keys(NUTRITION_FALLBACK_PER_100G),
+      {
+        minScore: FOOD_SEARCH_MIN_SCORE,
+      }
+    )) {
+      const per100 = NUTRITION_FALLBACK_PER_100G[m.name];
+      if (!hasNutrients(per100) && m.match !== "exact") continue;
+      results.push({ ...m, source: "local", per100 });
+    }
+
+    let usdaError = null;
+    if (usda === "1" && USDA_API_KEY) {
+      try {
+        for (const hit of await usdaSearchFoods(n)) {
+          const m = scoreFoodMatch(n, hit.description);
+          if (m.score < FOOD_SEARCH_MIN_SCORE) continue;
+          results.push({
+            name: hit.description,
+            ...m,
+            source: "usda",
+            fdcId: hit.fdcId,
+            dataType: hit.dataType,
+            per100: hit.per100,
+          });
+        }
+      } catch (e) {
+        console.error("USDA search error:", e);
+        usdaError = "USDA search unavailable";
+      }
+    }
+
+    results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source)
+    );
+    return res.status(200).json({
+      query: q,
+      items: results.slice(0, limit),
+      count: Math.min(results.length, limit),
+      units: NUTRIENT_UNITS,
+      ...(usdaError ? { warning: usdaError } : {}),
+    });
+  } catch (e) {
+    console.error("Food search error:", e);
+    return res.status(500).json({ error: "Food search failed" });
+  }
+});
+
+function mapCustomFoodRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.ingredients ? "recipe" : "food",
+    per100: customFoodPer100(row),
+    ingredients: row.ingredients ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Per-100g values are stored, not re-derived: later changes to an
+// ingredient do not silently change a saved recipe. Returns { fields }, or
+// { error } (with `unresolved` portions, if any) for a 400.
+async function customFoodFields(userId, { per100, ingredients }) {
+  if (per100)
+    return { fields: { ...completeNutrients(per100), ingredients: null } };
+  const { total, breakdown, unresolved } = await computeMealItems(ingredients, {
+    userId,
+  });
+  if (unresolved.length) return { error: UNRESOLVED_ERROR, unresolved };
+  const grams = breakdown.reduce((sum, it) => sum + it.grams, 0);
+  if (grams <= 0) return { error: "Ingredients must weigh > 0 g" };
+  return {
+    fields: { ...scaleNutrients(total, 100 / grams), ingredients: breakdown },
+  };
+}
+
+app.get("/foods/custom", authMiddleware, async (req, res) => {
+  try {
+    const { data: rows, error } = await supabase
+      .from("custom_foods")
+      .select("*")
+      .eq("user_id", req.user.sub)
+      .order("name", { ascending: true });
+    if (error) {
+      console.error("Fetch custom foods error:", error);
+      return res.status(500).json({ error: "Failed to fetch custom foods" });
+    }
+    const items = (rows || []).map(mapCustomFoodRow);
+    return res
+      .status(200)
+      .json({ items, count: items.length, units: NUTRIENT_UNITS });
+  } catch (e) {
+    console.error("Custom foods error:", e);
+    return res.status(500).json({ error: "Failed to fetch custom foods" });
+  }
+});
+
+app.post("/foods/custom", authMiddleware, async (req, res) => {
+  const parsed = customFoodSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const { fields, ...problem } = await customFoodFields(
+      req.user.sub,
+      parsed.data
+    );
+    if (!fields) return res.status(400).json(problem);
+
+    const { data: row, error } = await supabase
+      .from("custom_foods")
+      .insert([
+        {
+          user_id: req.user.sub,
+          name: parsed.data.name,
+          name_key: normalizeFoodName(parsed.data.name),
+          ...fields,
+        },
+      ])
+      .select("*")
+      .single();
+    if (error?.code === "23505")
+      return res
+        .status(409)
+        .json({ error: "You already have a food with this name" });
+    if (error) {
+      console.error("Insert custom food error:", error);
+      return res.status(500).json({ error: "Failed to save custom food" });
+    }
+    return res.status(201).json({ food: mapCustomFoodRow(row) });
+  } catch (e) {
+    console.error("Create custom food error:", e);
+    return res.status(500).json({ error: "Failed to save custom food" });
+  }
+});
+
+app.patch("/foods/custom/:id", authMiddleware, async (req, res) => {
+  const parsed = customFoodUpdateSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const update = { updated_at: new Date().toISOString() };
+    if (parsed.data.name) {
+      update.name = parsed.data.name;
+      update.name_key = normalizeFoodName(parsed.data.name);
+    }
+    if (parsed.data.per100 || parsed.data.ingredients) {
+      const { fields, ...problem } = await customFoodFields(
+        req.user.sub,
+        parsed.data
+      );
+      if (!fields) return res.status(400).json(problem);
+      Object.assign(update, fields);
+    }
+
+    const { data: row, error } = await supabase
+      .from("custom_foods")
+      .update(update)
+      .eq("id", String(req.params.id))
+      .eq("user_id", req.user.sub)
+      .select("*")
+      .maybeSingle();
+    if (error?.code === "23505")
+      return res
+        .status(409)
+        .json({ error: "You already have a food with this name" });
+    if (error) {
+      console.error("Update custom food error:", error);
+      return res.status(500).json({ error: "Failed to update custom food" });
+    }
+    if (!row) return res.status(404).json({ error: "Custom food not found" });
+    return res.status(200).json({ food: mapCustomFoodRow(row) });
+  } catch (e) {
+    console.error("Custom food update error:", e);
+    return res.status(500).json({ error: "Failed to update custom food" });
+  }
+});
+
+// Meals already logged keep their computed values
+app.delete("/foods/custom/:id", authMiddleware, async (req, res) => {
+  try {
+    const { data: rows, error } = await supabase
+      .from("custom_foods")
+      .delete()
+      .eq("id", String(req.params.id))
+      .eq("user_id", req.user.sub)
+      .select("id");
+    if (error) {
+      console.error("Delete custom food error:", error);
+      return res.status(500).json({ error: "Delete failed" });
+    }
+    if (!rows?.length)
+      return res.status(404).json({ error: "Custom food not found" });
+    return res.status(200).json({ ok: true, id: rows[0].id });
+  } catch (e) {
+    console.error("Custom food delete error:", e);
+    return res.status(500).json({ error: "Delete failed" });
+  }
+});
+
+/* ----------------------------- Wallet routes ----------------------------- */
+const GOOGLE_REAUTH_MAX_AGE_SEC = 5 * 60;
+
+// Logs and returns the insert error (if any) so callers that must not
+// proceed unaudited can stop
+async function recordWalletEvent(userId, event, req, meta = {}) {
+  const { error } = await supabase.from("wallet_events").insert([
+    {
+      user_id: userId,
+      event,
+      ip: req.ip || null,
+      user_agent: String(req.headers["user-agent"] || "") || null,
+      meta,
+    },
+  ]);
+  if (error) console.error("Wallet event insert error:", error);
+  return error || null;
+}
+
+// Re-authenticate the signed-in user with their password or a fresh Google token
+async function reauthenticate(user, { password, idToken }) {
+  if (password) {
+    if (!user.password_hash) return { ok: false, error: "No password set" };
+    const ok = await bcrypt.compare(password, user.password_hash);
+    return ok
+      ? { ok: true, method: "password" }
+      : { ok: false, error: "Invalid credentials" };
+  }
+  if (!googleClient)
+    return { ok: false, error: "Google client not configured" };
+  try {
+    const ticket = await googleClient.verifyIdToken({
+      idToken,
+      audience: googleClientId,
+    });
+    const payload = ticket.getPayload();
+    const email = String(payload?.email || "")
+      .toLowerCase()
+      .trim();
+    if (!payload?.email_verified || email !== user.email)
+      return { ok: false, error: "Google account does not match" };
+    const ageSec = Math.floor(Date.now() / 1000) - Number(payload.iat || 0);
+    if (ageSec > GOOGLE_REAUTH_MAX_AGE_SEC)
+      return { ok: false, error: "Google sign-in too old, sign in again" };
+    return { ok: true, method: "google" };
+  } catch {
+    return { ok: false, error: "Invalid Google token" };
+  }
+}
+
+const walletExportSchema = z
+  .object({
+    password: z.string().min(1).optional(),
+    idToken: z.string().min(10).optional(),
+    passphrase: z.string().min(8, "Passphrase must be at least 8 characters"),
+    markExported: z.boolean().optional().default(false),
+  })
+  .refine((v) => Boolean(v.password || v.idToken), {
+    message: "password or idToken required",
+    path: ["password"],
+  });
+
+// Self-custody export: returns the app wallet as a V3 JSON keystore
+app.post(
+  "/wallet/export",
+  authMiddleware,
+  limits.sensitive,
+  async (req, res) => {
+    const parsed = walletExportSchema.safeParse(req.body);
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+    try {
+      const { data: user, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", req.user.sub)
+        .single();
+      if (error || !user)
+        return res.status(404).json({ error: "User not found" });
+      if (!user.wallet_encrypted)
+        return res.status(404).json({ error: "No app wallet to export" });
+
+      const auth = await reauthenticate(user, parsed.data);
+      if (!auth.ok) {
+        await recordWalletEvent(user.id, "export_denied", req, {
+          reason: auth.error,
+        });
+        return res.status(401).json({ error: auth.error });
+      }
+
+      // No key material leaves without an audit record
+      const wallet = walletFromRow(user);
+      const { markExported } = parsed.data;
+      const auditErr = await recordWalletEvent(user.id, "export", req, {
+        method: auth.method,
+        address: wallet.address,
+        markExported,
+      });
+      if (auditErr) return res.status(500).json({ error: "Export failed" });
+
+      const keystore = await wallet.encrypt(parsed.data.passphrase);
+      let exportedAt = user.wallet_exported_at ?? null;
+      if (markExported && !exportedAt) {
+        exportedAt = new Date().toISOString();
+        const { error: upErr } = await supabase
+          .from("users")
+          .update({ wallet_exported_at: exportedAt })
+          .eq("id", user.id);
+        if (upErr) {
+          console.error("Flag wallet exported error:", upErr);
+          return res.status(500).json({ error: "Export failed" });
+        }
+      }
+
+      return res.status(200).json({
+        address: wallet.address,
+        keystore: JSON.parse(keystore),
+        walletExportedAt: exportedAt,
+      });
+    } catch (e) {
+      console.error("Wallet export error:", e);
+      return res.status(500).json({ error: "Export failed" });
+    }
+  }
+);
+
+/* ------------------------- External wallets (SIWE) ------------------------ */
+const SIWE_DOMAIN = (process.env.SIWE_DOMAIN || "localhost:3000").trim();
+const SIWE_URI = (process.env.SIWE_URI || "").trim();
+const SIWE_NONCE_TTL_MS = 10 * 60 * 1000;
+
+function mapLinkedWalletRow(row, primaryAddress) {
+  return {
+    id: row.id,
+    address: row.address,
+    kind: "external",
+    primary:
+      Boolean(primaryAddress) &&
+      row.address.toLowerCase() === primaryAddress.toLowerCase(),
+    verifiedAt: row.verified_at,
+    createdAt: row.created_at,
+  };
+}
+
+app.get("/wallet/link/nonce", authMiddleware, async (req, res) => {
+  try {
+    const nonce = generateSiweNonce();
+    const expiresAt = new Date(Date.now() + SIWE_NONCE_TTL_MS).toISOString();
+    const { error } = await supabase
+      .from("wallet_link_nonces")
+      .insert([{ user_id: req.user.sub, nonce, expires_at: expiresAt }]);
+    if (error) {
+      console.error("Insert SIWE nonce error:", error);
+      return res.status(500).json({ error: "Failed to issue nonce" });
+    }
+    return res.status(200).json({
+      nonce,
+      expiresAt,
+      domain: SIWE_DOMAIN,
+      uri: SIWE_URI || null,
+      chainId: CHAIN_ID,
+      statement: "Link this wallet to your Walklet account.",
+    });
+  } catch (e) {
+    console.error("SIWE nonce error:", e);
+    return res.status(500).json({ error: "Failed to issue nonce" });
+  }
+});
+
+const walletLinkSchema = z.object({
+  message: z.string().min(1),
+  signature: z.string().regex(/^0x[0-9a-fA-F]+$/, "Invalid signature"),
+});
+
+app.post("/wallet/link", authMiddleware, async (req, res) => {
+  const parsed = walletLinkSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const userId = req.user.sub;
+    let nonce;
+    try {
+      nonce = parseSiweMessage(parsed.data.message).nonce;
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Consume the nonce first so a signed message can only be used once
+    const { data: used, error: nErr } = await supabase
+      .from("wallet_link_nonces")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .eq("nonce", nonce)
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select("id");
+    if (nErr) {
+      console.error("Consume SIWE nonce error:", nErr);
+      return res.status(500).json({ error: "Failed to link wallet" });
+    }
+    if (!used || used.length === 0)
+      return res.status(401).json({ error: "Unknown or expired nonce" });
+
+    let fields;
+    try {
+      fields = verifySiweMessage({
+        ...parsed.data,
+        domain: SIWE_DOMAIN,
+        uri: SIWE_URI || null,
+        chainId: CHAIN_ID,
+        nonce,
+      });
+    } catch (e) {
+      return res.status(401).json({ error: e.message });
+    }
+
+    const { data: row, error } = await supabase
+      .from("user_wallets")
+      .insert([
+        {
+          user_id: userId,
+          address: fields.address,
+          verified_at: new Date().toISOString(),
+        },
+      ])
+      .select("*")
+      .single();
+    if (error) {
+      if (String(error.code) === "23505")
+        return res
+          .status(409)
+          .json({ error: "Wallet already linked to an account" });
+      console.error("Insert linked wallet error:", error);
+      return res.status(500).json({ error: "Failed to link wallet" });
+    }
+
+    return res.status(201).json({ wallet: mapLinkedWalletRow(row, null) });
+  } catch (e) {
+    console.error("Wallet link error:", e);
+    return res.status(500).json({ error: "Failed to link wallet" });
+  }
+});
+
+app.get("/wallets", authMiddleware, async (req, res) => {
+  try {
+    const [userRes, linkedRes] = await Promise.all([
+      supabase
+        .from("users")
+        .select("wallet_address, wallet_created_at, primary_wallet_address")
+        .eq("id", req.user.sub)
+        .single(),
+      supabase
+        .from("user_wallets")
+        .select("*")
+        .eq("user_id", req.user.sub)
+        .order("created_at", { ascending: true }),
+    ]);
+    if (userRes.error || linkedRes.error)
+      return res.status(500).json({ error: "Failed to fetch wallets" });
+
+    const user = userRes.data;
+    const primary = user.primary_wallet_address || user.wallet_address;
+    const items = [];
+    if (user.wallet_address)
+      items.push({
+        id: "app",
+        address: user.wallet_address,
+        kind: "app",
+        primary: !user.primary_wallet_address,
+        verifiedAt: null,
+        createdAt: user.wallet_created_at ?? null,
+      });
+    for (const r of linkedRes.data || [])
+      items.push(mapLinkedWalletRow(r, user.primary_wallet_address));
+
+    return res.status(200).json({ items, primaryAddress: primary || null });
+  } catch (e) {
+    console.error("Wallet list error:", e);
+    return res.status(500).json({ error: "Failed to fetch wallets" });
+  }
+});
+
+async function findLinkedWallet(userId, id) {
+  const { data: rows, error } = await supabase
+    .from("user_wallets")
+    .select("*")
+    .eq("id", id)
+    .limit(1);
+  if (error) throw new Error("Wallet lookup failed");
+  const row = rows?.[0];
+  if (!row) return { status: 404, error: "Wallet not found" };
+  if (row.user_id !== userId) return { status: 403, error: "Not your wallet" };
+  return { row };
+}
+
+// id "app" switches back to the server-generated wallet
+app.post("/wallets/:id/primary", authMiddleware, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    let primaryAddress = null;
+    if (id !== "app") {
+      const found = await findLinkedWallet(req.user.sub, id);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+      primaryAddress = found.row.address;
+    }
+    const { error } = await supabase
+      .from("users")
+      .update({ primary_wallet_address: primaryAddress })
+      .eq("id", req.user.sub);
+    if (error) {
+      console.error("Set primary wallet error:", error);
+      return res.status(500).json({ error: "Failed to set primary wallet" });
+    }
+    return res.status(200).json({ ok: true, id, primaryAddress });
+  } catch (e) {
+    console.error("Primary wallet error:", e);
+    return res.status(500).json({ error: "Failed to set primary wallet" });
+  }
+});
+
+app.delete("/wallets/:id", authMiddleware, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    if (id === "app")
+      return res
+        .status(400)
+        .json({ error: "The app wallet cannot be unlinked" });
+    const found = await findLinkedWallet(req.user.sub, id);
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+
+    // Fall back to the app wallet if the primary is being removed
+    const { error: upErr } = await supabase
+      .from("users")
+      .update({ primary_wallet_address: null })
+      .eq("id", req.user.sub)
+      .eq("primary_wallet_address", found.row.address);
+    if (upErr) return res.status(500).json({ error: "Unlink failed" });
+
+    const { error } = await supabase.from("user_wallets").delete().eq("id", id);
+    if (error) return res.status(500).json({ error: "Unlink failed" });
+    return res.status(200).json({ ok: true, id });
+  } catch (e) {
+    console.error("Unlink wallet error:", e);
+    return res.status(500).json({ error: "Unlink failed" });
+  }
+});
 
-      if (cntErr) {
-        console.error("Count meals error:", cntErr);
-        return res.status(500).json({ error: "Failed to check daily limit" });
-      }
+/* -------------------------------- Dashboard ------------------------------- */
+// Everything the home screen needs for one local day, in one response
+async function buildDashboard(userId, dateKey, tzOffsetMin) {
+  const { data: user, error: userErr } = await supabase
+    .from("users")
+    .select("daily_step_goal, weight_kg, timezone")
+    .eq("id", userId)
+    .single();
+  if (userErr) throw new Error("User lookup failed");
 
-      const usedCount = (todayRows || []).length;
-      if (usedCount >= 3)
-        return res
-          .status(429)
-          .json({ error: "Daily limit reached (3 analyses per day)" });
-      if (mealType) {
-        const already = (todayRows || []).some((r) => r.meal_type === mealType);
-        if (already)
-          return res
-            .status(409)
-            .json({ error: `You already analyzed ${mealType} today` });
-      }
+  const tz = resolveTz(user?.timezone, tzOffsetMin);
+  const todayKey = localDateKey(Date.now(), tz);
+  const day = localDayWindow(tz, dateKey || todayKey);
 
-      // Stub "AI" by file size
-      const size = req.file.buffer.length || 1;
-      const seed = size % 97;
-      const protein = 10 + (seed % 31);
-      const carbs = 15 + ((seed * 3) % 46);
-      const fat = 5 + ((seed * 5) % 31);
-      const calories = protein * 4 + carbs * 4 + fat * 9;
-
-      let feedback = "Balanced meal.";
-      if (protein >= 25) feedback = "Good source of protein!";
-      if (fat >= 25 && protein < 20)
-        feedback = "High in fats — consider leaner options.";
-      if (carbs >= 45 && fat < 15)
-        feedback = "Carb-heavy — pair with protein for balance.";
+  const [walksRes, mealsRes, claimable] = await Promise.all([
+    supabase
+      .from("walk_sessions")
+      .select(
+        "id, started_at, ended_at, duration_sec, distance_m, steps, kcal_active, validation_status"
+      )
+      .eq("user_id", userId)
+      .gte("started_at", day.startUtc)
+      .lt("started_at", day.endUtc)
+      .order("started_at", { ascending: true }),
+    supabase
+      .from("meal_analyses")
+      .select(
+        [
+          "id, meal_type, status, origin, created_at, deleted_at",
+          ...NUTRIENT_KEYS,
+        ].join(", ")
+      )
+      .eq("user_id", userId)
+      .gte("created_at", day.startUtc)
+      .lt("created_at", day.endUtc)
+      .order("created_at", { ascending: true }),
+    loadClaimableSessions(userId).then(summarizeClaimable),
+  ]);
+  if (walksRes.error) throw new Error("Fetch walks failed");
+  if (mealsRes.error) throw new Error("Fetch meals failed");
 
-      const { data: saved, error: insErr } = await supabase
-        .from("meal_analyses")
-        .insert([
-          {
-            user_id: req.user.sub,
-            meal_type: mealType || null,
-            calories,
-            protein_g: protein,
-            carbs_g: carbs,
-            fat_g: fat,
-          },
-        ])
-        .select("*")
-        .single();
+  const walks = walksRes.data || [];
+  const meals = mealsRes.data || [];
+  const goal =
+    user?.daily_step_goal !== null && user?.daily_step_goal !== undefined
+      ? Number(user.daily_step_goal)
+      : null;
 
-      if (insErr) {
-        console.error("Insert meal analysis error:", insErr);
-        return res.status(500).json({ error: "Failed to record analysis" });
-      }
+  let steps = 0;
+  let distanceM = 0;
+  let kcalBurned = 0;
+  for (const w of walks) {
+    if (w.validation_status !== COUNTED_WALK_STATUS) continue;
+    steps += Number(w.steps || 0);
+    distanceM += Number(w.distance_m || 0);
+    kcalBurned += walkKcal(w, user?.weight_kg ?? null);
+  }
 
-      const remaining = Math.max(0, 3 - (usedCount + 1));
-      const usedTypes = [
-        ...new Set((todayRows || []).map((r) => r.meal_type).filter(Boolean)),
-      ];
-      if (mealType && !usedTypes.includes(mealType)) usedTypes.push(mealType);
+  const mealDay = summarizeMealDay(meals);
 
-      return res.status(200).json({
-        analysis: {
-          calories: Math.round(calories),
-          protein_g: protein,
-          carbs_g: carbs,
-          fat_g: fat,
-          feedback,
-        },
-        used: usedTypes,
-        remaining,
-      });
-    } catch (e) {
-      console.error("Analyze meal error:", e);
-      return res.status(500).json({ error: "Analysis failed" });
-    }
+  return {
+    date: day.date,
+    isToday: day.date === todayKey,
+    steps: {
+      total: steps,
+      goal,
+      goalMet: goal !== null && goal > 0 ? steps >= goal : null,
+      progress: goal ? Number(Math.min(1, steps / goal).toFixed(3)) : null,
+      distanceM: Number(distanceM.toFixed(2)),
+      sessionCount: walks.length,
+      sessions: walks.map((w) => ({
+        id: w.id,
+        startedAt: w.started_at,
+        endedAt: w.ended_at,
+        durationSec: w.duration_sec,
+        distanceM: Number(w.distance_m || 0),
+        steps: Number(w.steps || 0),
+        kcal: walkKcal(w, user?.weight_kg ?? null),
+        validationStatus: w.validation_status ?? "accepted",
+      })),
+    },
+    meals: mealDay,
+    energy: {
+      kcalConsumed: mealDay.totals.calories,
+      kcalBurned: Math.round(kcalBurned),
+      balance: Math.round(mealDay.totals.calories - kcalBurned),
+    },
+    rewards: claimable,
+    window: { startUtc: day.startUtc, endUtc: day.endUtc, ...describeTz(tz) },
+  };
+}
+
+app.get("/dashboard/today", authMiddleware, async (req, res) => {
+  try {
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const body = await buildDashboard(req.user.sub, null, tzOffsetMin);
+    return res.status(200).json(body);
+  } catch (e) {
+    console.error("Dashboard error:", e);
+    return res.status(500).json({ error: "Failed to load dashboard" });
   }
-);
+});
 
-// USDA compute (safe fallback)
-app.post("/meals/compute", authMiddleware, async (req, res) => {
-  const parsed = usdaComputeSchema.safeParse(req.body);
+app.get("/dashboard/:date", authMiddleware, async (req, res) => {
+  const parsed = dateKeySchema.safeParse(String(req.params.date));
   if (!parsed.success)
     return res
       .status(400)
-      .json({ error: "Invalid input", details: parsed.error.flatten() });
+      .json({ error: "Invalid date", details: parsed.error.flatten() });
 
   try {
-    let total = { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 };
-    const breakdown = [];
-
-    for (const it of parsed.data.items) {
-      const { per100, source, meta } = await getPer100gForName(it.name);
-      const factor = (it.grams || 0) / 100;
-
-      const part = {
-        name: normalizeFoodName(meta?.description || it.name),
-        fdcId: meta?.fdcId || null,
-        dataType: meta?.dataType || null,
-        grams: it.grams,
-        calories: +(per100.calories * factor).toFixed(1),
-        protein_g: +(per100.protein_g * factor).toFixed(1),
-        carbs_g: +(per100.carbs_g * factor).toFixed(1),
-        fat_g: +(per100.fat_g * factor).toFixed(1),
-        source,
-      };
-      breakdown.push(part);
-      total.calories += part.calories;
-      total.protein_g += part.protein_g;
-      total.carbs_g += part.carbs_g;
-      total.fat_g += part.fat_g;
-    }
-
-    total = {
-      calories: Math.round(total.calories),
-      protein_g: +total.protein_g.toFixed(1),
-      carbs_g: +total.carbs_g.toFixed(1),
-      fat_g: +total.fat_g.toFixed(1),
-    };
-
-    return res.status(200).json({ total, breakdown });
+    const tzParsed = tzSchema.safeParse(req.query);
+    if (!tzParsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: tzParsed.error.flatten() });
+    const { tzOffsetMin } = tzParsed.data;
+    const body = await buildDashboard(req.user.sub, parsed.data, tzOffsetMin);
+    return res.status(200).json(body);
   } catch (e) {
-    console.error("Compute meal (safe) error:", e);
-    return res.status(200).json({
-      total: { calories: 0, protein_g: 0, carbs_g: 0, fat_g: 0 },
-      breakdown: [],
-      note: "Fallback empty due to error.",
-    });
+    console.error("Dashboard error:", e);
+    return res.status(500).json({ error: "Failed to load dashboard" });
   }
 });
 
@@ -1019,35 +4062,65 @@ const devResetSchema = z.object({
     .array(z.enum(["walks", "meals", "profile", "wallet"]))
     .default(["walks", "meals"]),
   scope: z.enum(["today", "all"]).default("today"),
-  tzOffsetMin: z.coerce.number().optional().default(0),
+  tzOffsetMin: z.coerce.number().min(-720).max(840).optional().default(0),
 });
 
 app.post("/dev/reset", authMiddleware, devGuard, async (req, res) => {
   try {
-    const { types, scope, tzOffsetMin } = devResetSchema.parse(req.body);
+    const parsed = devResetSchema.safeParse(req.body);
+    if (!parsed.success)
+      return res
+        .status(400)
+        .json({ error: "Invalid input", details: parsed.error.flatten() });
+    const { types, scope, tzOffsetMin } = parsed.data;
     let startUtc = null,
       endUtc = null;
     if (scope === "today") {
-      const win = localWindowUtc(tzOffsetMin);
+      const tz = await loadUserTz(req.user.sub, tzOffsetMin);
+      const win = localDayWindow(tz);
       startUtc = win.startUtc;
       endUtc = win.endUtc;
     }
     const userId = req.user.sub;
     const out = {
       walksDeleted: 0,
+      walksSkippedClaimed: [],
       mealsDeleted: 0,
       profileCleared: false,
       walletCleared: false,
     };
 
-    // walks
+    // walks; ones covered by a reward voucher stay (the ledger references
+    // them and the voucher may already be on-chain) and are reported instead
     if (types.includes("walks")) {
-      let q = supabase.from("walk_sessions").select("id").eq("user_id", userId);
-      if (scope === "today")
-        q = q.gte("started_at", startUtc).lt("started_at", endUtc);
-      const { data: rows, error } = await q;
-      if (error) throw new Error("Fetch walks failed");
-      const ids = (rows || []).map((r) => r.id);
+      const [walksRes, ledgerRes] = await Promise.all([
+        selectAllRows(() => {
+          let q = supabase
+            .from("walk_sessions")
+            .select("id")
+            .eq("user_id", userId);
+          if (scope === "today")
+            q = q.gte("started_at", startUtc).lt("started_at", endUtc);
+          return q.order("id", { ascending: true });
+        }),
+        selectAllRows(() =>
+          supabase
+            .from("reward_claim_items")
+            .select("walk_session_id")
+            .eq("user_id", userId)
+            .order("id", { ascending: true })
+        ),
+      ]);
+      if (walksRes.error) throw new Error("Fetch walks failed");
+      if (ledgerRes.error) throw new Error("Fetch reward ledger failed");
+      const claimed = new Set(
+        (ledgerRes.data || []).map((r) => r.walk_session_id)
+      );
+      const ids = [];
+      for (const r of walksRes.data || []) {
+        if (claimed.has(r.id)) out.walksSkippedClaimed.push(r.id);
+        else ids.push(r.id);
+      }
       if (ids.length) {
         const { error: dErr } = await supabase
           .from("walk_sessions")
@@ -1096,7 +4169,10 @@ app.post("/dev/reset", authMiddleware, devGuard, async (req, res) => {
           wallet_iv: null,
           wallet_tag: null,
           wallet_alg: null,
+          wallet_key_id: null,
           wallet_created_at: null,
+          wallet_exported_at: null,
+          primary_wallet_address: null,
         })
         .eq("id", userId);
       if (wErr) throw new Error("Wallet clear failed");
@@ -1110,25 +4186,535 @@ app.post("/dev/reset", authMiddleware, devGuard, async (req, res) => {
   }
 });
 
-/* ----------------------------- Rewards (dev) ----------------------------- */
-// Per-user nonce helper
+/* -------------------------------- Rewards -------------------------------- */
+// Per-user nonce helper: a single UPDATE ... RETURNING in Postgres, so
+// concurrent voucher requests can never be handed the same nonce
 async function nextNonce(userId) {
-  const { data: row, error } = await supabase
-    .from("users")
-    .select("last_reward_nonce")
-    .eq("id", userId)
-    .single();
-  if (error) throw new Error("Nonce read failed");
-  const prev = Number(row?.last_reward_nonce || 0);
-  const next = prev + 1;
-  const { error: upErr } = await supabase
-    .from("users")
-    .update({ last_reward_nonce: next })
-    .eq("id", userId);
-  if (upErr) throw new Error("Nonce update failed");
-  return next;
+  const { data, error } = await supabase.rpc("allocate_reward_nonce", {
+    p_user_id: userId,
+  });
+  if (error) throw new Error("Nonce allocation failed");
+  const nonce = Number(data);
+  if (!Number.isFinite(nonce) || nonce <= 0)
+    throw new Error("Nonce allocation failed");
+  return nonce;
+}
+
+function isAddress(addr) {
+  return typeof addr === "string" && /^0x[0-9a-fA-F]{40}$/.test(addr);
+}
+
+// Vouchers only go to the app wallet or an address proven via SIWE.
+// With no explicit request, the user's primary wallet is used.
+async function resolveRewardAddress(userId, requested) {
+  const [userRes, linkedRes] = await Promise.all([
+    supabase
+      .from("users")
+      .select("wallet_address, primary_wallet_address")
+      .eq("id", userId)
+      .single(),
+    supabase.from("user_wallets").select("address").eq("user_id", userId),
+  ]);
+  if (userRes.error || linkedRes.error)
+    return { status: 500, error: "User lookup failed" };
+
+  const owned = [
+    userRes.data?.wallet_address,
+    ...(linkedRes.data || []).map((r) => r.address),
+  ].filter(Boolean);
+
+  if (requested) {
+    if (!isAddress(requested))
+      return { status: 400, error: "Invalid destination address" };
+    const match = owned.find(
+      (a) => a.toLowerCase() === requested.toLowerCase()
+    );
+    if (!match)
+      return {
+        status: 403,
+        error: "Destination must be a wallet linked to your account",
+      };
+    return { address: match };
+  }
+
+  const address =
+    userRes.data?.primary_wallet_address || userRes.data?.wallet_address;
+  if (!isAddress(address || ""))
+    return {
+      status: 400,
+      error: "Destination wallet address required (link a wallet first)",
+    };
+  return { address };
+}
+
+function voucherDeadline() {
+  return Math.floor(Date.now() / 1000) + REWARD_VOUCHER_TTL_SEC;
+}
+
+// Sign a mint voucher the STPC contract can verify
+async function signWalkVoucher({
+  to,
+  stpc,
+  nonce,
+  deadline = voucherDeadline(),
+}) {
+  const amountWei = parseUnits(String(stpc), 18);
+  const base = {
+    contractAddress: STPC_CONTRACT_ADDRESS,
+    chainId: CHAIN_ID,
+    user: to,
+    amount: amountWei.toString(),
+    nonce,
+    stpc,
+    stepsPerStpc: REWARD_STEPS_PER_STPC,
+  };
+
+  if (REWARD_VOUCHER_FORMAT === "legacy") {
+    const digest = solidityPackedKeccak256(
+      ["string", "address", "uint256", "address", "uint256", "uint256"],
+      ["WALKLET_REWARD", STPC_CONTRACT_ADDRESS, CHAIN_ID, to, amountWei, nonce]
+    );
+    const signature = await rewardSigner.signMessage(getBytes(digest));
+    return { ...base, format: "legacy", signature };
+  }
+
+  const message = { to, amount: amountWei, nonce, deadline };
+  const signature = await rewardSigner.signTypedData(
+    REWARD_EIP712_DOMAIN,
+    REWARD_EIP712_TYPES,
+    message
+  );
+  return {
+    ...base,
+    format: "eip712",
+    deadline,
+    domain: REWARD_EIP712_DOMAIN,
+    types: REWARD_EIP712_TYPES,
+    primaryType: "Reward",
+    signature,
+  };
+}
+
+// Unclaimed steps per accepted walk session, oldest first. Flagged walks
+// wait for review. A session can be partly claimed when a voucher only
+// needed some of its steps.
+async function loadClaimableSessions(userId) {
+  const [walksRes, ledgerRes] = await Promise.all([
+    selectAllRows(() =>
+      supabase
+        .from("walk_sessions")
+        .select("id, started_at, steps")
+        .eq("user_id", userId)
+        .eq("validation_status", "accepted")
+        .order("started_at", { ascending: true })
+        .order("id", { ascending: true })
+    ),
+    selectAllRows(() =>
+      supabase
+        .from("reward_claim_items")
+        .select("walk_session_id, steps")
+        .eq("user_id", userId)
+        .order("id", { ascending: true })
+    ),
+  ]);
+  if (walksRes.error) throw new Error("Fetch walks failed");
+  if (ledgerRes.error) throw new Error("Fetch reward ledger failed");
+
+  const claimed = new Map();
+  for (const r of ledgerRes.data || []) {
+    const prev = claimed.get(r.walk_session_id) || 0;
+    claimed.set(r.walk_session_id, prev + Number(r.steps || 0));
+  }
+
+  const sessions = [];
+  for (const w of walksRes.data || []) {
+    const remaining = Number(w.steps || 0) - (claimed.get(w.id) || 0);
+    if (remaining > 0)
+      sessions.push({ id: w.id, startedAt: w.started_at, steps: remaining });
+  }
+  return sessions;
+}
+
+function summarizeClaimable(sessions) {
+  const claimableSteps = sessions.reduce((sum, s) => sum + s.steps, 0);
+  const stpc = Math.floor(claimableSteps / REWARD_STEPS_PER_STPC);
+  return {
+    claimableSteps,
+    stpc,
+    stepsToClaim: stpc * REWARD_STEPS_PER_STPC,
+    stepsPerStpc: REWARD_STEPS_PER_STPC,
+    sessionCount: sessions.length,
+  };
+}
+
+// Take exactly `steps` from the oldest sessions first
+function allocateClaimSteps(sessions, steps) {
+  const items = [];
+  let left = steps;
+  for (const s of sessions) {
+    if (left <= 0) break;
+    const take = Math.min(s.steps, left);
+    items.push({ walkSessionId: s.id, steps: take });
+    left -= take;
+  }
+  return items;
+}
+
+// Drop a claim and its ledger rows (used when a concurrent claim won the race)
+async function rollbackClaim(claimId) {
+  await supabase.from("reward_claim_items").delete().eq("claim_id", claimId);
+  await supabase.from("reward_claims").delete().eq("id", claimId);
+}
+
+// After writing the ledger, make sure no session is now claimed beyond its steps
+async function findOverclaimedSessions(userId, sessionIds) {
+  const [walksRes, ledgerRes] = await Promise.all([
+    supabase.from("walk_sessions").select("id, steps").in("id", sessionIds),
+    supabase
+      .from("reward_claim_items")
+      .select("walk_session_id, steps")
+      .eq("user_id", userId)
+      .in("walk_session_id", sessionIds),
+  ]);
+  if (walksRes.error || ledgerRes.error)
+    throw new Error("Reward ledger check failed");
+  const claimed = new Map();
+  for (const r of ledgerRes.data || []) {
+    const prev = claimed.get(r.walk_session_id) || 0;
+    claimed.set(r.walk_session_id, prev + Number(r.steps || 0));
+  }
+  return (walksRes.data || [])
+    .filter((w) => (claimed.get(w.id) || 0) > Number(w.steps || 0))
+    .map((w) => w.id);
+}
+
+// Typed-data domain so the frontend and contract verify the same struct
+app.get("/rewards/domain", (req, res) => {
+  return res.status(200).json({
+    format: REWARD_VOUCHER_FORMAT,
+    domain: REWARD_EIP712_DOMAIN,
+    types: REWARD_EIP712_TYPES,
+    primaryType: "Reward",
+    signer: rewardSigner?.address || null,
+    voucherTtlSec: REWARD_VOUCHER_TTL_SEC,
+  });
+});
+
+app.get("/rewards/claimable", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await loadClaimableSessions(req.user.sub);
+    return res.status(200).json(summarizeClaimable(sessions));
+  } catch (e) {
+    console.error("Claimable rewards error:", e);
+    return res.status(500).json({ error: "Failed to fetch claimable rewards" });
+  }
+});
+
+const rewardClaimSchema = z.object({
+  to: z.string().trim().refine(isAddress, "Invalid address").optional(),
+});
+
+// Issue a voucher for all unclaimed walk steps and record what it covers
+app.post("/rewards/claim", authMiddleware, async (req, res) => {
+  const parsed = rewardClaimSchema.safeParse(req.body || {});
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    if (!rewardSigner)
+      return res.status(500).json({ error: "No reward signer configured" });
+    if (!STPC_CONTRACT_ADDRESS)
+      return res.status(500).json({ error: "STPC_CONTRACT_ADDRESS missing" });
+
+    const userId = req.user.sub;
+    const dest = await resolveRewardAddress(userId, parsed.data.to);
+    if (dest.error) return res.status(dest.status).json({ error: dest.error });
+    const toAddr = dest.address;
+
+    const sessions = await loadClaimableSessions(userId);
+    const summary = summarizeClaimable(sessions);
+    if (summary.stpc <= 0)
+      return res.status(400).json({
+        error: `Not enough steps for a reward. Need at least ${REWARD_STEPS_PER_STPC} steps`,
+        ...summary,
+      });
+
+    const items = allocateClaimSteps(sessions, summary.stepsToClaim);
+    const nonce = await nextNonce(userId);
+    const deadline = voucherDeadline();
+
+    const { data: claim, error: claimErr } = await supabase
+      .from("reward_claims")
+      .insert([
+        {
+          user_id: userId,
+          nonce,
+          to_address: toAddr,
+          steps: summary.stepsToClaim,
+          stpc: summary.stpc,
+          format: REWARD_VOUCHER_FORMAT,
+          status: "issued",
+          expires_at: new Date(deadline * 1000).toISOString(),
+        },
+      ])
+      .select("*")
+      .single();
+    if (claimErr) {
+      console.error("Insert reward claim error:", claimErr);
+      return res.status(500).json({ error: "Failed to record claim" });
+    }
+
+    const { error: itemsErr } = await supabase
+      .from("reward_claim_items")
+      .insert(
+        items.map((it) => ({
+          claim_id: claim.id,
+          user_id: userId,
+          walk_session_id: it.walkSessionId,
+          steps: it.steps,
+        }))
+      );
+    if (itemsErr) {
+      console.error("Insert reward claim items error:", itemsErr);
+      await rollbackClaim(claim.id);
+      return res.status(500).json({ error: "Failed to record claim" });
+    }
+
+    const overclaimed = await findOverclaimedSessions(
+      userId,
+      items.map((it) => it.walkSessionId)
+    );
+    if (overclaimed.length) {
+      await rollbackClaim(claim.id);
+      return res
+        .status(409)
+        .json({ error: "Steps already claimed by another request, retry" });
+    }
+
+    const voucher = await signWalkVoucher({
+      to: toAddr,
+      stpc: summary.stpc,
+      nonce,
+      deadline,
+    });
+    return res.status(200).json({
+      ...voucher,
+      claimId: claim.id,
+      steps: summary.stepsToClaim,
+      sessions: items,
+    });
+  } catch (e) {
+    console.error("Reward claim error:", e);
+    return res.status(500).json({ error: "Failed to create voucher" });
+  }
+});
+
+/* ---------------------------- Voucher lifecycle ---------------------------- */
+function voucherStatus(row, now = Date.now()) {
+  if (row.status === "issued" && row.expires_at)
+    if (Date.parse(row.expires_at) <= now) return "expired";
+  return row.status;
+}
+
+function mapVoucherRow(row) {
+  return {
+    id: row.id,
+    nonce: Number(row.nonce),
+    to: row.to_address,
+    steps: Number(row.steps),
+    stpc: Number(row.stpc),
+    format: row.format,
+    status: voucherStatus(row),
+    expiresAt: row.expires_at ?? null,
+    redeemedAt: row.redeemed_at ?? null,
+    txHash: row.tx_hash ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+// Persist "expired" for issued vouchers whose deadline passed
+async function expireStaleVouchers(userId) {
+  const { error } = await supabase
+    .from("reward_claims")
+    .update({ status: "expired" })
+    .eq("user_id", userId)
+    .eq("status", "issued")
+    .lt("expires_at", new Date().toISOString());
+  if (error) throw new Error("Voucher expiry update failed");
+}
+
+async function findUserVoucher(userId, id) {
+  const { data: rows, error } = await supabase
+    .from("reward_claims")
+    .select("*")
+    .eq("id", id)
+    .limit(1);
+  if (error) throw new Error("Voucher lookup failed");
+  const row = rows?.[0];
+  if (!row) return { status: 404, error: "Voucher not found" };
+  if (row.user_id !== userId) return { status: 403, error: "Not your voucher" };
+  return { row };
+}
+
+app.get("/rewards/vouchers", authMiddleware, async (req, res) => {
+  try {
+    await expireStaleVouchers(req.user.sub);
+    const { data: rows, error } = await supabase
+      .from("reward_claims")
+      .select("*")
+      .eq("user_id", req.user.sub)
+      .order("created_at", { ascending: false });
+    if (error) {
+      console.error("Fetch vouchers error:", error);
+      return res.status(500).json({ error: "Failed to fetch vouchers" });
+    }
+    const items = (rows || []).map(mapVoucherRow);
+    return res.status(200).json({ items, count: items.length });
+  } catch (e) {
+    console.error("Vouchers list error:", e);
+    return res.status(500).json({ error: "Failed to fetch vouchers" });
+  }
+});
+
+// Re-sign an expired, unredeemed voucher under its original nonce.
+// The nonce was never consumed on-chain, so the steps are not lost.
+app.post("/rewards/vouchers/:id/reissue", authMiddleware, async (req, res) => {
+  try {
+    if (!rewardSigner)
+      return res.status(500).json({ error: "No reward signer configured" });
+    if (!STPC_CONTRACT_ADDRESS)
+      return res.status(500).json({ error: "STPC_CONTRACT_ADDRESS missing" });
+
+    const found = await findUserVoucher(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const row = found.row;
+    if (voucherStatus(row) !== "expired")
+      return res
+        .status(409)
+        .json({ error: `Voucher is ${voucherStatus(row)}, not expired` });
+
+    const deadline = voucherDeadline();
+    const { data: updated, error } = await supabase
+      .from("reward_claims")
+      .update({
+        status: "issued",
+        format: REWARD_VOUCHER_FORMAT,
+        expires_at: new Date(deadline * 1000).toISOString(),
+        reissue_count: Number(row.reissue_count || 0) + 1,
+      })
+      .eq("id", row.id)
+      .in("status", ["issued", "expired"])
+      .select("*");
+    if (error) {
+      console.error("Reissue voucher error:", error);
+      return res.status(500).json({ error: "Failed to reissue voucher" });
+    }
+    if (!updated || updated.length === 0)
+      return res.status(409).json({ error: "Voucher already redeemed" });
+
+    const voucher = await signWalkVoucher({
+      to: row.to_address,
+      stpc: Number(row.stpc),
+      nonce: Number(row.nonce),
+      deadline,
+    });
+    return res.status(200).json({ ...voucher, claimId: row.id });
+  } catch (e) {
+    console.error("Reissue voucher error:", e);
+    return res.status(500).json({ error: "Failed to reissue voucher" });
+  }
+});
+
+const voucherRedeemedSchema = z.object({
+  txHash: z
+    .string()
+    .trim()
+    .regex(/^0x[0-9a-fA-F]{64}$/, "Invalid transaction hash"),
+});
+
+// { error } unless the transaction is a successful mint of exactly this voucher
+async function verifyRedemptionTx(row, txHash) {
+  const receipt = await chainProvider.getTransactionReceipt(txHash);
+  if (!receipt) return { error: "Transaction not found or not yet mined" };
+  if (receipt.status !== 1) return { error: "Transaction failed on-chain" };
+  if (
+    String(receipt.to || "").toLowerCase() !==
+    STPC_CONTRACT_ADDRESS.toLowerCase()
+  )
+    return { error: "Transaction is not a call to the reward contract" };
+
+  const tx = await chainProvider.getTransaction(txHash);
+  let call = null;
+  try {
+    call = tx && rewardClaimInterface.parseTransaction({ data: tx.data });
+  } catch {
+    call = null;
+  }
+  if (!call) return { error: "Transaction is not a reward claim" };
+  const { to, amount, nonce } = call.args;
+  if (
+    String(to).toLowerCase() !== String(row.to_address).toLowerCase() ||
+    amount !== parseUnits(String(row.stpc), 18) ||
+    nonce !== BigInt(row.nonce)
+  )
+    return { error: "Transaction redeems a different voucher" };
+  return { receipt };
 }
 
+// Client reports the mint transaction once it lands; the status only changes
+// after the transaction checks out on-chain
+app.post("/rewards/vouchers/:id/redeemed", authMiddleware, async (req, res) => {
+  const parsed = voucherRedeemedSchema.safeParse(req.body);
+  if (!parsed.success)
+    return res
+      .status(400)
+      .json({ error: "Invalid input", details: parsed.error.flatten() });
+
+  try {
+    const found = await findUserVoucher(req.user.sub, String(req.params.id));
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+    const row = found.row;
+    if (row.status === "redeemed")
+      return res.status(200).json({ voucher: mapVoucherRow(row) });
+    if (voucherStatus(row) !== "issued")
+      return res
+        .status(409)
+        .json({ error: `Voucher is ${voucherStatus(row)}, not issued` });
+
+    if (!chainProvider)
+      return res.status(500).json({ error: "CHAIN_RPC_URL missing" });
+    if (!STPC_CONTRACT_ADDRESS)
+      return res.status(500).json({ error: "STPC_CONTRACT_ADDRESS missing" });
+    const check = await verifyRedemptionTx(row, parsed.data.txHash);
+    if (check.error) return res.status(409).json({ error: check.error });
+
+    const { data: updated, error } = await supabase
+      .from("reward_claims")
+      .update({
+        status: "redeemed",
+        redeemed_at: new Date().toISOString(),
+        tx_hash: parsed.data.txHash,
+      })
+      .eq("id", row.id)
+      .eq("status", "issued")
+      .select("*");
+    if (error) {
+      console.error("Mark voucher redeemed error:", error);
+      return res.status(500).json({ error: "Failed to update voucher" });
+    }
+    if (!updated || updated.length === 0)
+      return res.status(409).json({ error: "Voucher is no longer issued" });
+    return res.status(200).json({ voucher: mapVoucherRow(updated[0]) });
+  } catch (e) {
+    console.error("Voucher redeemed error:", e);
+    return res.status(500).json({ error: "Failed to update voucher" });
+  }
+});
+
 // DEV: issue a walk voucher for testing (1 STPC per REWARD_STEPS_PER_STPC steps)
 app.post(
   "/dev/rewards/voucher-walk",
@@ -1145,21 +4731,11 @@ app.post(
       if (!Number.isFinite(steps))
         return res.status(400).json({ error: "Invalid steps" });
 
-      const { data: userRow, error } = await supabase
-        .from("users")
-        .select("wallet_address")
-        .eq("id", req.user.sub)
-        .single();
-      if (error) return res.status(500).json({ error: "User lookup failed" });
-
-      const toAddr = String(
-        req.body?.to || userRow?.wallet_address || ""
-      ).trim();
-      if (!toAddr || !toAddr.startsWith("0x") || toAddr.length !== 42) {
-        return res.status(400).json({
-          error: "Destination wallet address required (body.to or app wallet)",
-        });
-      }
+      const requested = req.body?.to ? String(req.body.to).trim() : null;
+      const dest = await resolveRewardAddress(req.user.sub, requested);
+      if (dest.error)
+        return res.status(dest.status).json({ error: dest.error });
+      const toAddr = dest.address;
 
       const stpc = Math.floor(steps / REWARD_STEPS_PER_STPC);
       if (stpc <= 0) {
@@ -1168,33 +4744,9 @@ app.post(
         });
       }
 
-      const amountWei = parseUnits(String(stpc), 18);
       const nonce = await nextNonce(req.user.sub);
-
-      const digest = solidityPackedKeccak256(
-        ["string", "address", "uint256", "address", "uint256", "uint256"],
-        [
-          "WALKLET_REWARD",
-          STPC_CONTRACT_ADDRESS,
-          CHAIN_ID,
-          toAddr,
-          amountWei,
-          nonce,
-        ]
-      );
-
-      const signature = await rewardSigner.signMessage(getBytes(digest));
-
-      return res.status(200).json({
-        contractAddress: STPC_CONTRACT_ADDRESS,
-        chainId: CHAIN_ID,
-        user: toAddr,
-        amount: amountWei.toString(),
-        nonce,
-        signature,
-        stpc,
-        stepsPerStpc: REWARD_STEPS_PER_STPC,
-      });
+      const voucher = await signWalkVoucher({ to: toAddr, stpc, nonce });
+      return res.status(200).json(voucher);
     } catch (e) {
       console.error("Voucher walk error:", e);
       return res.status(500).json({ error: "Failed to create voucher" });
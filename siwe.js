@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import { getAddress, verifyMessage } from "ethers";
+
+// Sign-In with Ethereum (EIP-4361) message parsing and verification
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const FIELDS = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+export function generateSiweNonce() {
+  // EIP-4361 nonces are alphanumeric, at least 8 characters
+  return crypto.randomBytes(16).toString("hex");
+}
+
+export function parseSiweMessage(message) {
+  const lines = String(message || "")
+    .replace(/\r\n/g, "\n")
+    .split("\n");
+
+  const header = lines[0] || "";
+  if (!header.endsWith(HEADER_SUFFIX))
+    throw new Error("Not a Sign-In with Ethereum message");
+  const domain = header
+    .slice(0, -HEADER_SUFFIX.length)
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+
+  let address;
+  try {
+    address = getAddress(lines[1] || "");
+  } catch {
+    throw new Error("Invalid address in SIWE message");
+  }
+
+  const out = { domain, address, statement: null, resources: [] };
+  const statement = [];
+  let inResources = false;
+  for (const line of lines.slice(2)) {
+    if (inResources) {
+      if (line.startsWith("- ")) out.resources.push(line.slice(2));
+      continue;
+    }
+    if (line === "Resources:") {
+      inResources = true;
+      continue;
+    }
+    const idx = line.indexOf(": ");
+    const key = idx > 0 ? FIELDS[line.slice(0, idx)] : null;
+    if (key) out[key] = line.slice(idx + 2);
+    else if (line.trim() && !out.uri) statement.push(line);
+  }
+  if (statement.length) out.statement = statement.join("\n");
+
+  for (const required of ["uri", "version", "chainId", "nonce", "issuedAt"]) {
+    if (!out[required]) throw new Error(`SIWE message missing ${required}`);
+  }
+  if (out.version !== "1") throw new Error("Unsupported SIWE version");
+  if (!/^[a-zA-Z0-9]{8,}$/.test(out.nonce))
+    throw new Error("Invalid SIWE nonce");
+  out.chainId = Number(out.chainId);
+  if (!Number.isInteger(out.chainId)) throw new Error("Invalid SIWE chain id");
+  return out;
+}
+
+// Check a signed message against what this server expects.
+// Returns the parsed fields; throws with a user-facing message otherwise.
+export function verifySiweMessage({
+  message,
+  signature,
+  domain,
+  uri,
+  chainId,
+  nonce,
+  now = new Date(),
+}) {
+  const fields = parseSiweMessage(message);
+  if (fields.domain !== domain) throw new Error("SIWE domain mismatch");
+  if (uri && fields.uri !== uri) throw new Error("SIWE URI mismatch");
+  if (fields.chainId !== chainId) throw new Error("SIWE chain id mismatch");
+  if (fields.nonce !== nonce) throw new Error("SIWE nonce mismatch");
+
+  const t = now.getTime();
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= t)
+    throw new Error("SIWE message expired");
+  if (fields.notBefore && Date.parse(fields.notBefore) > t)
+    throw new Error("SIWE message not yet valid");
+
+  let recovered;
+  try {
+    recovered = verifyMessage(message, signature);
+  } catch {
+    throw new Error("Invalid signature");
+  }
+  if (recovered !== fields.address)
+    throw new Error("Signature does not match address");
+  return fields;
+}
@@ -0,0 +1,23 @@
+-- Reward ledger: one row per issued voucher, plus the walk steps it covered.
+create table if not exists reward_claims (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  nonce bigint not null,
+  to_address text not null,
+  steps integer not null check (steps > 0),
+  stpc integer not null check (stpc > 0),
+  created_at timestamptz not null default now(),
+  unique (user_id, nonce)
+);
+
+create table if not exists reward_claim_items (
+  id uuid primary key default gen_random_uuid(),
+  claim_id uuid not null references reward_claims(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  walk_session_id uuid not null references walk_sessions(id) on delete restrict,
+  steps integer not null check (steps > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reward_claim_items_user_idx
+  on reward_claim_items (user_id, walk_session_id);
@@ -0,0 +1,4 @@
+-- Track which signing format each voucher used and when it stops being valid.
+alter table reward_claims
+  add column if not exists format text not null default 'legacy',
+  add column if not exists expires_at timestamptz;
@@ -0,0 +1,21 @@
+-- Atomic per-user nonce allocation: one statement, row-locked by Postgres.
+create or replace function allocate_reward_nonce(p_user_id uuid)
+returns bigint
+language sql
+as $$
+  update users
+     set last_reward_nonce = coalesce(last_reward_nonce, 0) + 1
+   where id = p_user_id
+  returning last_reward_nonce;
+$$;
+
+-- Voucher lifecycle. (user_id, nonce) is already unique from 001.
+alter table reward_claims
+  add column if not exists status text not null default 'issued'
+    check (status in ('issued', 'redeemed', 'expired')),
+  add column if not exists redeemed_at timestamptz,
+  add column if not exists tx_hash text,
+  add column if not exists reissue_count integer not null default 0;
+
+create index if not exists reward_claims_user_status_idx
+  on reward_claims (user_id, status);
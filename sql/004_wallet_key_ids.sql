@@ -0,0 +1,2 @@
+-- Which encryption key a wallet bundle was written with (null = legacy key).
+alter table users add column if not exists wallet_key_id text;
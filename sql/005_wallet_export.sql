@@ -0,0 +1,15 @@
+-- Audit trail for sensitive wallet operations and the "key left the server" flag.
+create table if not exists wallet_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  event text not null,
+  ip text,
+  user_agent text,
+  meta jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists wallet_events_user_idx
+  on wallet_events (user_id, created_at desc);
+
+alter table users add column if not exists wallet_exported_at timestamptz;
@@ -0,0 +1,23 @@
+-- External wallets proven via Sign-In with Ethereum (EIP-4361).
+create table if not exists wallet_link_nonces (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  nonce text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists user_wallets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  address text not null,
+  verified_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+-- An address can belong to only one account
+create unique index if not exists user_wallets_address_unique
+  on user_wallets (lower(address));
+
+alter table users add column if not exists primary_wallet_address text;
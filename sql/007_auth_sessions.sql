@@ -0,0 +1,24 @@
+-- Per-device sessions and their rotating refresh tokens (stored hashed).
+create table if not exists auth_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  device_name text,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+create index if not exists auth_sessions_user_idx
+  on auth_sessions (user_id) where revoked_at is null;
+
+create table if not exists refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references auth_sessions(id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  used_at timestamptz
+);
@@ -0,0 +1,12 @@
+-- Single-use, expiring password reset tokens (only the hash is stored).
+create table if not exists password_reset_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_idx
+  on password_reset_tokens (user_id) where used_at is null;
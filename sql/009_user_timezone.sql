@@ -0,0 +1,4 @@
+-- IANA time zone for local-day windows, and when it last changed (rate limit).
+alter table users
+  add column if not exists timezone text,
+  add column if not exists timezone_changed_at timestamptz;
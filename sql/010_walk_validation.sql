@@ -0,0 +1,12 @@
+-- Plausibility verdict per walk. Existing walks count as accepted.
+alter table walk_sessions
+  add column if not exists validation_status text not null default 'accepted'
+    check (validation_status in ('accepted', 'flagged', 'rejected')),
+  add column if not exists validation_reasons text[] not null default '{}',
+  add column if not exists validation_metrics jsonb,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists reviewed_by uuid references users(id),
+  add column if not exists review_note text;
+
+create index if not exists walk_sessions_flagged_idx
+  on walk_sessions (started_at) where validation_status = 'flagged';
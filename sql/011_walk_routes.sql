@@ -0,0 +1,15 @@
+-- Simplified GPS route per walk (points keep timestamps for GPX export).
+create table if not exists walk_routes (
+  walk_session_id uuid primary key references walk_sessions(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  source text not null check (source in ('json', 'gpx', 'tcx')),
+  distance_m numeric not null,
+  raw_point_count integer not null,
+  point_count integer not null,
+  polyline text not null,
+  points jsonb not null,
+  bbox jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists walk_routes_user_idx on walk_routes (user_id);
@@ -0,0 +1,6 @@
+-- Client-generated idempotency ids for offline walk sync.
+alter table walk_sessions add column if not exists client_id uuid;
+
+-- Upsert target for POST /walks and /walks/batch. Null client ids never collide.
+create unique index if not exists walk_sessions_user_client_unique
+  on walk_sessions (user_id, client_id);
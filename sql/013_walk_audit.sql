@@ -0,0 +1,15 @@
+-- Audit trail of walk edits, deletions and reviews. No FK on the walk so
+-- rows survive deletion.
+create table if not exists walk_audit (
+  id uuid primary key default gen_random_uuid(),
+  walk_session_id uuid not null,
+  user_id uuid not null references users(id) on delete cascade,
+  actor_id uuid references users(id) on delete set null,
+  action text not null,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists walk_audit_walk_idx
+  on walk_audit (walk_session_id, created_at);
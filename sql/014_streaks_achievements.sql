@@ -0,0 +1,15 @@
+-- Goal streaks (recomputed on every walk write) and earned badges.
+create table if not exists user_streaks (
+  user_id uuid primary key references users(id) on delete cascade,
+  current_streak integer not null default 0,
+  best_streak integer not null default 0,
+  last_goal_date date,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists user_achievements (
+  user_id uuid not null references users(id) on delete cascade,
+  achievement_id text not null,
+  awarded_at timestamptz not null default now(),
+  primary key (user_id, achievement_id)
+);
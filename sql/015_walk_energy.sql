@@ -0,0 +1,5 @@
+-- Estimated active kcal per walk, with the method and inputs used.
+alter table walk_sessions
+  add column if not exists kcal_active numeric,
+  add column if not exists kcal_method text,
+  add column if not exists kcal_inputs jsonb;
@@ -0,0 +1,7 @@
+-- Meal analyses start as drafts holding the recognition provider's detected
+-- items; the user confirms or corrects them before they count as intake.
+alter table meal_analyses
+  add column if not exists status text not null default 'confirmed',
+  add column if not exists items jsonb,
+  add column if not exists provider text,
+  add column if not exists confirmed_at timestamptz;
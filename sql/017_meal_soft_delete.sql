@@ -0,0 +1,4 @@
+-- Deleted meals are hidden from history but still count against the daily
+-- photo-analysis quota.
+alter table meal_analyses
+  add column if not exists deleted_at timestamptz;
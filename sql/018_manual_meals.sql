@@ -0,0 +1,3 @@
+-- Meals are either photo analyses (quota-limited) or manual food logs.
+alter table meal_analyses
+  add column if not exists origin text not null default 'photo';
@@ -0,0 +1,25 @@
+-- Persistent USDA lookup cache (search hits and per-100g values by fdcId).
+create table if not exists food_cache (
+  key text primary key,
+  value jsonb,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+create index if not exists food_cache_expires_idx on food_cache (expires_at);
+
+-- User-defined foods and recipes, matched by normalized name before the
+-- built-in table and USDA.
+create table if not exists custom_foods (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  name text not null,
+  name_key text not null,
+  calories numeric not null,
+  protein_g numeric not null,
+  carbs_g numeric not null,
+  fat_g numeric not null,
+  ingredients jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, name_key)
+);
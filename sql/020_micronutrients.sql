@@ -0,0 +1,21 @@
+-- Micronutrient totals per meal and per 100 g for custom foods. Null means
+-- the source did not report the nutrient.
+alter table meal_analyses
+  add column if not exists fiber_g numeric,
+  add column if not exists sugars_g numeric,
+  add column if not exists saturated_fat_g numeric,
+  add column if not exists sodium_mg numeric,
+  add column if not exists cholesterol_mg numeric,
+  add column if not exists calcium_mg numeric,
+  add column if not exists iron_mg numeric,
+  add column if not exists potassium_mg numeric;
+
+alter table custom_foods
+  add column if not exists fiber_g numeric,
+  add column if not exists sugars_g numeric,
+  add column if not exists saturated_fat_g numeric,
+  add column if not exists sodium_mg numeric,
+  add column if not exists cholesterol_mg numeric,
+  add column if not exists calcium_mg numeric,
+  add column if not exists iron_mg numeric,
+  add column if not exists potassium_mg numeric;
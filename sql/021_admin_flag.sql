@@ -0,0 +1,4 @@
+-- Admins are flagged on their user row (replaces the ADMIN_EMAILS setting,
+-- which trusted the email claim in the access token).
+alter table users
+  add column if not exists is_admin boolean not null default false;
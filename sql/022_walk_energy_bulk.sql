@@ -0,0 +1,19 @@
+-- Write back recomputed kcal estimates for many walks in one statement.
+-- p_rows: [{ id, kcal_active, kcal_method, kcal_inputs }, ...]
+create or replace function update_walk_energy(p_user_id uuid, p_rows jsonb)
+returns integer
+language sql
+as $$
+  with updated as (
+    update walk_sessions w
+       set kcal_active = r.kcal_active,
+           kcal_method = r.kcal_method,
+           kcal_inputs = r.kcal_inputs
+      from jsonb_to_recordset(p_rows)
+           as r(id uuid, kcal_active numeric, kcal_method text, kcal_inputs jsonb)
+     where w.id = r.id
+       and w.user_id = p_user_id
+    returning w.id
+  )
+  select count(*)::integer from updated;
+$$;
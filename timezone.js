@@ -0,0 +1,102 @@
+// Local-day math for a user's time zone.
+//
+// A tz is either { zone: "Europe/London" } (IANA, DST-correct via Intl) or
+// { offsetMin: 60 } (legacy fixed offset, minutes EAST of UTC, from the
+// tzOffsetMin query parameter).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+function formatterFor(zone) {
+  let f = formatters.get(zone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(zone, f);
+  }
+  return f;
+}
+
+export function isValidTimeZone(zone) {
+  if (typeof zone !== "string" || !zone.trim()) return false;
+  try {
+    formatterFor(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes east of UTC that `zone` observes at the given instant
+export function zoneOffsetMin(zone, utcMs) {
+  const parts = {};
+  for (const p of formatterFor(zone).formatToParts(new Date(utcMs)))
+    parts[p.type] = p.value;
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+function offsetAt(tz, utcMs) {
+  return tz.zone ? zoneOffsetMin(tz.zone, utcMs) : Number(tz.offsetMin || 0);
+}
+
+// Local calendar date (YYYY-MM-DD) of a UTC instant
+export function localDateKey(utcMs, tz) {
+  return new Date(utcMs + offsetAt(tz, utcMs) * 60000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// UTC instant of the first moment of local day `dateKey`
+export function localMidnightUtcMs(dateKey, tz) {
+  const wallMs = Date.parse(`${dateKey}T00:00:00Z`);
+  if (!tz.zone) return wallMs - Number(tz.offsetMin || 0) * 60000;
+
+  // Offset can differ between the guess and the real instant across DST,
+  // so settle it with a second pass.
+  let utcMs = wallMs - zoneOffsetMin(tz.zone, wallMs) * 60000;
+  utcMs = wallMs - zoneOffsetMin(tz.zone, utcMs) * 60000;
+  // Zones that skip midnight (DST at 00:00) start the day later
+  while (localDateKey(utcMs, tz) < dateKey) utcMs += 15 * 60000;
+  return utcMs;
+}
+
+// [start, end) of a local day in UTC; 23 or 25 hours long on DST days
+export function localDayWindow(tz, dateKey = localDateKey(Date.now(), tz)) {
+  const next = new Date(Date.parse(`${dateKey}T00:00:00Z`) + DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+  return {
+    date: dateKey,
+    startUtc: new Date(localMidnightUtcMs(dateKey, tz)).toISOString(),
+    endUtc: new Date(localMidnightUtcMs(next, tz)).toISOString(),
+  };
+}
+
+// Profile zone wins; the query offset is only a fallback for users
+// who have not set one yet.
+export function resolveTz(timezone, tzOffsetMin = 0) {
+  if (timezone && isValidTimeZone(timezone)) return { zone: timezone };
+  return { offsetMin: Number(tzOffsetMin || 0) };
+}
+
+export function describeTz(tz) {
+  return tz.zone
+    ? { timezone: tz.zone, tzOffsetMin: null }
+    : { timezone: null, tzOffsetMin: Number(tz.offsetMin || 0) };
+}
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+
+// Meal image recognition providers.
+//
+// A provider is { name, detect({ buffer, mimeType }) } resolving to
+// [{ name, confidence (0-1), grams }]. Names are fed to the nutrition
+// lookup, so they should be plain food names ("rice", "chicken breast").
+//
+// MEAL_VISION_PROVIDER=local (default) deterministic, for dev and tests
+// MEAL_VISION_PROVIDER=http  POSTs { image (base64), mimeType } as JSON to
+//                            MEAL_VISION_URL and expects { items: [...] } back
+
+const LOCAL_FOODS = [
+  { name: "rice", grams: [120, 250] },
+  { name: "chicken breast", grams: [100, 200] },
+  { name: "egg", grams: [50, 120] },
+  { name: "bread", grams: [40, 100] },
+  { name: "banana", grams: [90, 140] },
+  { name: "apple", grams: [120, 200] },
+  { name: "yogurt", grams: [120, 200] },
+  { name: "fish", grams: [100, 180] },
+  { name: "beef", grams: [100, 200] },
+  { name: "pizza", grams: [100, 250] },
+  { name: "fries", grams: [80, 150] },
+  { name: "burger", grams: [150, 250] },
+];
+
+// Same bytes in, same foods out
+export function localVisionProvider() {
+  return {
+    name: "local",
+    async detect({ buffer }) {
+      const digest = crypto.createHash("sha256").update(buffer).digest();
+      const count = 1 + (digest[0] % 3);
+      const items = [];
+      const used = new Set();
+      for (let i = 0; i < count; i++) {
+        const food = LOCAL_FOODS[digest[1 + i] % LOCAL_FOODS.length];
+        if (used.has(food.name)) continue;
+        used.add(food.name);
+        const [min, max] = food.grams;
+        items.push({
+          name: food.name,
+          confidence: Number((0.55 + (digest[8 + i] % 45) / 100).toFixed(2)),
+          grams: Math.round(min + ((max - min) * digest[16 + i]) / 255),
+        });
+      }
+      return items;
+    },
+  };
+}
+
+export function httpVisionProvider({ url, apiKey = "", timeoutMs = 15000 }) {
+  return {
+    name: "http",
+    async detect({ buffer, mimeType }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const r = await fetch(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            image: buffer.toString("base64"),
+            mimeType: mimeType || "application/octet-stream",
+          }),
+          signal: controller.signal,
+        });
+        if (!r.ok) {
+          const t = await r.text().catch(() => "");
+          throw new Error(`Vision provider failed (${r.status}): ${t}`);
+        }
+        const json = await r.json();
+        const items = Array.isArray(json?.items) ? json.items : [];
+        return items
+          .filter((it) => it && typeof it.name === "string" && it.name.trim())
+          .map((it) => ({
+            name: it.name.trim().toLowerCase(),
+            confidence: Math.max(0, Math.min(1, Number(it.confidence) || 0)),
+            grams: Math.max(0, Math.min(2000, Number(it.grams) || 0)),
+          }));
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+// The local provider invents detections, so production must name a real
+// one; this throws at startup instead of serving made-up meals.
+export function visionProviderFromEnv() {
+  const production = process.env.NODE_ENV === "production";
+  const kind = (process.env.MEAL_VISION_PROVIDER || (production ? "" : "local"))
+    .trim()
+    .toLowerCase();
+  if (kind === "http") {
+    const url = (process.env.MEAL_VISION_URL || "").trim();
+    if (!url) throw new Error("MEAL_VISION_URL missing for http provider");
+    return httpVisionProvider({
+      url,
+      apiKey: (process.env.MEAL_VISION_API_KEY || "").trim(),
+      timeoutMs: Number(process.env.MEAL_VISION_TIMEOUT_MS || 15000),
+    });
+  }
+  if (kind === "local" && !production) return localVisionProvider();
+  if (kind === "local")
+    throw new Error("MEAL_VISION_PROVIDER=local is not allowed in production");
+  if (!kind) throw new Error("MEAL_VISION_PROVIDER missing (use http)");
+  throw new Error(`Unknown MEAL_VISION_PROVIDER: ${kind}`);
+}
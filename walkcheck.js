@@ -0,0 +1,107 @@
+// Plausibility checks for submitted walks.
+//
+// evaluateWalk() is pure: the caller supplies the user's height, the
+// sessions that overlap the walk and the steps already logged that day.
+// Each failed rule adds a reason code; the worst severity decides the verdict.
+
+export const WALK_LIMITS = {
+  maxFutureSkewMs: 5 * 60 * 1000,
+  durationSlackSec: 60,
+  cadenceFlag: 3.2, // steps/sec; brisk running is ~3
+  cadenceReject: 5,
+  speedFlag: 3.5, // m/s; fast walking is ~2
+  speedReject: 12, // faster than a sprinter: a vehicle
+  strideMinRatio: 0.4, // vs. expected stride for the user's height
+  strideMaxRatio: 2.2,
+  strideMinSteps: 100,
+  defaultHeightCm: 170,
+  dailyStepsFlag: 60000,
+  dailyStepsReject: 150000,
+  gpsDistanceRatio: 0.25, // client distance vs. GPS-derived distance
+  gpsDistanceMinDiffM: 50,
+  trackSlackMs: 2 * 60 * 1000,
+};
+
+// Typical walking stride is ~41.5% of height
+export function expectedStrideM(heightCm) {
+  return (Number(heightCm) || WALK_LIMITS.defaultHeightCm) * 0.00415;
+}
+
+export function evaluateWalk(
+  { startedAt, endedAt, durationSec, distanceM, steps },
+  {
+    heightCm = null,
+    overlapping = [],
+    dailyStepsBefore = 0,
+    track = null, // { distanceM, startMs, endMs } when a GPS track was sent
+    now = Date.now(),
+  } = {}
+) {
+  const L = WALK_LIMITS;
+  const reasons = [];
+  const add = (code, severity) => reasons.push({ code, severity });
+
+  const startMs = Date.parse(startedAt);
+  const endMs = Date.parse(endedAt);
+  const spanSec = Math.max(0, (endMs - startMs) / 1000);
+
+  if (startMs > now + L.maxFutureSkewMs) add("future_start", "reject");
+  if (durationSec > spanSec + L.durationSlackSec)
+    add("duration_exceeds_span", "flag");
+
+  if (steps > 0 && durationSec === 0) add("zero_duration", "reject");
+
+  const cadence = durationSec > 0 ? steps / durationSec : 0;
+  if (cadence > L.cadenceReject) add("cadence_impossible", "reject");
+  else if (cadence > L.cadenceFlag) add("cadence_high", "flag");
+
+  const speed = durationSec > 0 ? distanceM / durationSec : 0;
+  if (speed > L.speedReject) add("speed_impossible", "reject");
+  else if (speed > L.speedFlag) add("speed_high", "flag");
+
+  let stride = null;
+  if (steps >= L.strideMinSteps && distanceM > 0) {
+    stride = distanceM / steps;
+    const expected = expectedStrideM(heightCm);
+    if (stride < expected * L.strideMinRatio) add("stride_short", "flag");
+    if (stride > expected * L.strideMaxRatio) add("stride_long", "flag");
+  }
+
+  if (track) {
+    const diff = Math.abs(distanceM - track.distanceM);
+    if (
+      diff > L.gpsDistanceMinDiffM &&
+      diff > track.distanceM * L.gpsDistanceRatio
+    )
+      add("gps_distance_mismatch", "flag");
+    if (
+      track.startMs < startMs - L.trackSlackMs ||
+      track.endMs > endMs + L.trackSlackMs
+    )
+      add("track_outside_walk", "flag");
+  }
+
+  if (overlapping.length > 0) add("overlaps_session", "flag");
+
+  const dailySteps = dailyStepsBefore + steps;
+  if (dailySteps > L.dailyStepsReject) add("daily_steps_impossible", "reject");
+  else if (dailySteps > L.dailyStepsFlag) add("daily_steps_high", "flag");
+
+  let status = "accepted";
+  if (reasons.some((r) => r.severity === "reject")) status = "rejected";
+  else if (reasons.length > 0) status = "flagged";
+
+  return {
+    status,
+    reasons: reasons.map((r) => r.code),
+    metrics: {
+      cadence: Number(cadence.toFixed(3)),
+      speedMps: Number(speed.toFixed(3)),
+      strideM: stride === null ? null : Number(stride.toFixed(3)),
+      expectedStrideM: Number(expectedStrideM(heightCm).toFixed(3)),
+      dailySteps,
+      trackDistanceM: track ? Number(track.distanceM.toFixed(2)) : null,
+      overlapping: overlapping.map((o) => o.id),
+    },
+  };
+}
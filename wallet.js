@@ -2,21 +2,55 @@ import crypto from 'crypto';
 import { Wallet } from 'ethers';
 
 const ALG = 'aes-256-gcm';
+const HEX_KEY = /^[0-9a-fA-F]{64}$/;
 
-// Ensure we have a proper 32-byte (64 hex chars) key in env
-function getKey() {
-  const hex = process.env.WALLET_ENCRYPTION_KEY || '';
-  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
-    throw new Error(
-      'WALLET_ENCRYPTION_KEY must be a 64-hex-character string (32 bytes).'
-    );
+// Ensure we have a proper 32-byte (64 hex chars) key
+function parseKey(hex, label) {
+  if (!HEX_KEY.test(hex || '')) {
+    throw new Error(`${label} must be a 64-hex-character string (32 bytes).`);
   }
   return Buffer.from(hex, 'hex');
 }
 
+// Id of the key used for new bundles
+export function currentKeyId() {
+  return (process.env.WALLET_ENCRYPTION_KEY_ID || 'v1').trim();
+}
+
+// Bundles written before key ids existed were encrypted with this key
+function legacyKeyId() {
+  return (process.env.WALLET_LEGACY_KEY_ID || 'v1').trim();
+}
+
+// Current key plus retired ones ("id:hex,id:hex") that can still decrypt
+function getKeyring() {
+  const ring = new Map();
+  const retired = (process.env.WALLET_RETIRED_KEYS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const entry of retired) {
+    const [id, hex] = entry.split(':').map((s) => (s || '').trim());
+    if (!id) throw new Error('WALLET_RETIRED_KEYS entries must be "id:hex".');
+    ring.set(id, parseKey(hex, `Retired wallet key "${id}"`));
+  }
+  ring.set(
+    currentKeyId(),
+    parseKey(process.env.WALLET_ENCRYPTION_KEY, 'WALLET_ENCRYPTION_KEY')
+  );
+  return ring;
+}
+
+function getKey(keyId) {
+  const key = getKeyring().get(keyId);
+  if (!key) throw new Error(`Unknown wallet encryption key id "${keyId}".`);
+  return key;
+}
+
 // Encrypt a hex private key (without 0x) using AES-256-GCM
 function encryptHexPrivateKey(pkHex) {
-  const key = getKey();
+  const keyId = currentKeyId();
+  const key = getKey(keyId);
   const iv = crypto.randomBytes(12); // GCM recommends 12-byte IV
   const cipher = crypto.createCipheriv(ALG, key, iv);
   const ciphertext = Buffer.concat([
@@ -29,9 +63,29 @@ function encryptHexPrivateKey(pkHex) {
     iv: iv.toString('base64'),
     tag: tag.toString('base64'),
     alg: ALG,
+    keyId,
   };
 }
 
+// Decrypt a bundle back to a 0x-prefixed private key
+export function decryptWalletBundle({ ciphertext, iv, tag, alg, keyId }) {
+  if ((alg || ALG) !== ALG) {
+    throw new Error(`Unsupported wallet algorithm "${alg}".`);
+  }
+  const key = getKey(keyId || legacyKeyId());
+  const decipher = crypto.createDecipheriv(
+    ALG,
+    key,
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const pk = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]);
+  return '0x' + pk.toString('hex');
+}
+
 // Create a fresh wallet and return address + encrypted private key bundle
 export function createAndEncryptWallet() {
   const wallet = Wallet.createRandom();
@@ -41,4 +95,46 @@ export function createAndEncryptWallet() {
     address: wallet.address,
     ...enc,
   };
-}
\ No newline at end of file
+}
+
+// Re-encrypt an existing bundle under the current key
+export function reencryptWalletBundle(bundle) {
+  const pk = decryptWalletBundle(bundle);
+  return encryptHexPrivateKey(pk.replace(/^0x/, ''));
+}
+
+// users row <-> bundle mapping
+export function walletBundleFromRow(row) {
+  if (!row?.wallet_encrypted || !row.wallet_iv || !row.wallet_tag) return null;
+  return {
+    ciphertext: row.wallet_encrypted,
+    iv: row.wallet_iv,
+    tag: row.wallet_tag,
+    alg: row.wallet_alg,
+    keyId: row.wallet_key_id ?? null,
+  };
+}
+
+export function walletRowFields(bundle) {
+  return {
+    wallet_encrypted: bundle.ciphertext,
+    wallet_iv: bundle.iv,
+    wallet_tag: bundle.tag,
+    wallet_alg: bundle.alg,
+    wallet_key_id: bundle.keyId,
+  };
+}
+
+// Decrypt a user's app wallet; throws if the address does not match the key
+export function walletFromRow(row) {
+  const bundle = walletBundleFromRow(row);
+  if (!bundle) throw new Error('User has no app wallet.');
+  const wallet = new Wallet(decryptWalletBundle(bundle));
+  if (
+    row.wallet_address &&
+    wallet.address.toLowerCase() !== String(row.wallet_address).toLowerCase()
+  ) {
+    throw new Error('Decrypted wallet does not match stored address.');
+  }
+  return wallet;
+}